@@ -0,0 +1,135 @@
+/**
+ * ColumnConfig Component
+ * Builds column labels, placeholders, value aliases, match modes, value
+ * separators and query string keys from markup or options
+ */
+
+import { normaliseCellText } from "./SortComparators.js";
+
+// How the values selected for one column combine: rows must contain any of
+// them, all of them, or none of them
+export const MATCH_MODES = ["any", "all", "none"];
+
+// Column names and values are matched ignoring case and extra whitespace
+function toConfigKey(text) {
+  return normaliseCellText(text).toLowerCase();
+}
+
+// "Year of finding=Year of issue; Location=Court" -> [[from, to], ...]
+export function parseMappingList(value) {
+  return String(value || "")
+    .split(";")
+    .map((entry) => {
+      const separator = entry.indexOf("=");
+      if (separator === -1) return null;
+      return [
+        entry.slice(0, separator).trim(),
+        entry.slice(separator + 1).trim(),
+      ];
+    })
+    .filter((pair) => pair && pair[0] && pair[1]);
+}
+
+function createColumnSettings() {
+  return {
+    label: null,
+    placeholder: null,
+    aliases: new Map(),
+    match: null,
+    separator: null,
+    param: null, // query string key, instead of the header's slug
+    paramAliases: [], // earlier keys that shared links may still use
+  };
+}
+
+function setMatchMode(column, mode) {
+  const matchMode = String(mode).trim().toLowerCase();
+  if (MATCH_MODES.includes(matchMode)) {
+    column.match = matchMode;
+  } else {
+    console.warn(`Unknown match mode: ${mode}`);
+  }
+}
+
+function getColumn(config, columnName) {
+  const key = toConfigKey(columnName);
+  if (!config.columns.has(key)) {
+    config.columns.set(key, createColumnSettings());
+  }
+  return config.columns.get(key);
+}
+
+function addAliases(aliases, entries) {
+  // Each alias maps a variant onto the value it should be shown as
+  entries.forEach(([variant, value]) => {
+    aliases.set(toConfigKey(variant), normaliseCellText(value));
+  });
+}
+
+function addSettings(config, settings) {
+  Object.entries(settings?.columns || {}).forEach(([columnName, column]) => {
+    const target = getColumn(config, columnName);
+    if (column.label) target.label = String(column.label);
+    if (column.placeholder) target.placeholder = String(column.placeholder);
+    if (column.match) setMatchMode(target, column.match);
+    if (column.separator) target.separator = String(column.separator);
+    if (column.param) target.param = String(column.param);
+    target.paramAliases.push(...[].concat(column.paramAliases || []));
+    addAliases(target.aliases, Object.entries(column.aliases || {}));
+  });
+  addAliases(config.aliases, Object.entries(settings?.aliases || {}));
+  if (settings?.separator) config.separator = String(settings.separator);
+}
+
+// Later sources override earlier ones: data attributes, then the JSON
+// config block, then the columnConfig option
+export function buildColumnConfig({
+  labels,
+  placeholders,
+  aliases,
+  matchModes,
+  separator,
+  params,
+  paramAliases,
+  sources,
+}) {
+  const config = {
+    columns: new Map(),
+    aliases: new Map(),
+    separator: separator || null, // splits multi-valued cells
+  };
+
+  parseMappingList(labels).forEach(([columnName, label]) => {
+    getColumn(config, columnName).label = label;
+  });
+  parseMappingList(placeholders).forEach(([columnName, placeholder]) => {
+    getColumn(config, columnName).placeholder = placeholder;
+  });
+  parseMappingList(matchModes).forEach(([columnName, mode]) => {
+    setMatchMode(getColumn(config, columnName), mode);
+  });
+  addAliases(config.aliases, parseMappingList(aliases));
+  parseMappingList(params).forEach(([columnName, param]) => {
+    getColumn(config, columnName).param = param;
+  });
+  // "year-of-issue=Year of finding" keeps links made before a rename working
+  parseMappingList(paramAliases).forEach(([alias, columnName]) => {
+    getColumn(config, columnName).paramAliases.push(alias);
+  });
+
+  sources.forEach((settings) => addSettings(config, settings));
+  return config;
+}
+
+export function getColumnSettings(config, columnName) {
+  return config.columns.get(toConfigKey(columnName)) || createColumnSettings();
+}
+
+export function resolveValueAlias(config, columnName, value) {
+  const key = toConfigKey(value);
+  return (
+    getColumnSettings(config, columnName).aliases.get(key) ||
+    config.aliases.get(key) ||
+    value
+  );
+}
@@ -0,0 +1,152 @@
+/**
+ * DataSource Component
+ * Loads table rows from a JSON or CSV file and describes the columns to
+ * render them with
+ */
+
+import { parseMappingList } from "./ColumnConfig.js";
+
+export const DATA_FORMATS = ["json", "csv"];
+
+// Links are only rendered for web and mail addresses, never javascript:
+const LINK_PROTOCOLS = ["http:", "https:", "mailto:"];
+
+// Quoted fields may contain commas, doubled quotes and line breaks
+export function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  const source = String(text || "").replace(/^\uFEFF/, "");
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && source[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // The first row names the fields; blank lines are skipped
+  const [header = [], ...records] = rows.filter((cells) =>
+    cells.some((cell) => cell.trim()),
+  );
+  const keys = header.map((key) => key.trim());
+  return records.map((cells) =>
+    Object.fromEntries(keys.map((key, index) => [key, cells[index] ?? ""])),
+  );
+}
+
+export function getDataFormat(url, format, contentType = "") {
+  const dataFormat = String(format || "").toLowerCase();
+  if (DATA_FORMATS.includes(dataFormat)) return dataFormat;
+  if (dataFormat) console.warn(`Unknown data format: ${format}`);
+
+  const path = String(url || "").split(/[?#]/)[0];
+  return /\.csv$/i.test(path) || /text\/csv/i.test(contentType)
+    ? "csv"
+    : "json";
+}
+
+// JSON may be an array of records or an object with a "data" array
+export function parseRecords(text, format) {
+  if (format === "csv") return parseCSV(text);
+
+  const json = JSON.parse(text);
+  const records = Array.isArray(json) ? json : json?.data;
+  if (!Array.isArray(records)) {
+    throw new Error("Expected an array of records");
+  }
+  return records.filter((record) => record && typeof record === "object");
+}
+
+export function fetchRecords({ url, format }) {
+  return fetch(url, {
+    headers: { Accept: "application/json, text/csv;q=0.9, */*;q=0.5" },
+  }).then((response) => {
+    if (!response.ok) {
+      throw new Error(`${response.status} ${response.statusText}`.trim());
+    }
+    const dataFormat = getDataFormat(
+      url,
+      format,
+      response.headers.get("Content-Type") || "",
+    );
+    return response.text().then((text) => parseRecords(text, dataFormat));
+  });
+}
+
+// Columns may be given as keys, { key, label, sortType, link } objects, or
+// "key=Label; key=Label" pairs from data-source-columns
+export function normaliseColumns(columns) {
+  const list =
+    typeof columns === "string"
+      ? parseMappingList(columns).map(([key, label]) => ({ key, label }))
+      : columns || [];
+
+  return list
+    .map((column) =>
+      typeof column === "string" ? { key: column } : { ...column },
+    )
+    .filter((column) => column.key)
+    .map((column) => ({
+      key: String(column.key),
+      label: String(column.label || column.key),
+      sortType: column.sortType || null,
+      link: column.link || null, // key of the field holding the cell's URL
+    }));
+}
+
+// Match each header to a record key by name, ignoring case and spacing
+export function getColumnsFromHeaders(headers, record) {
+  const keys = Object.keys(record || {});
+  const toKey = (text) => text.replace(/[\s_-]+/g, "").toLowerCase();
+
+  return headers.map((header) => {
+    const label = header.textContent.trim();
+    const key =
+      header.getAttribute("data-key") ||
+      keys.find((candidate) => toKey(candidate) === toKey(label)) ||
+      label;
+    return { key, label, sortType: null, link: null };
+  });
+}
+
+export function getRecordValue(record, key) {
+  const value = record[key];
+  return value === null || value === undefined ? "" : String(value);
+}
+
+export function getSafeLink(href) {
+  if (!href) return null;
+  try {
+    const url = new URL(href, window.location.href);
+    return LINK_PROTOCOLS.includes(url.protocol) ? String(href) : null;
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,59 @@
+/**
+ * Export Component
+ * Serialises table rows to CSV or JSON and offers them as a download
+ */
+
+export const EXPORT_FORMATS = {
+  csv: { extension: "csv", type: "text/csv;charset=utf-8" },
+  json: { extension: "json", type: "application/json;charset=utf-8" },
+};
+
+// Spreadsheets run cells starting with these characters as formulas, so
+// such values are prefixed with an apostrophe unless they are plain numbers
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function toCSVField(value) {
+  let field = String(value ?? "");
+  if (FORMULA_PREFIX.test(field) && isNaN(Number(field))) {
+    field = `'${field}`;
+  }
+  return /[",\r\n]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field;
+}
+
+// records is an array of objects keyed by the field names
+export function toCSV(fields, records) {
+  return [
+    fields.map(toCSVField).join(","),
+    ...records.map((record) =>
+      fields.map((field) => toCSVField(record[field])).join(","),
+    ),
+  ].join("\r\n");
+}
+
+export function toJSON(fields, records) {
+  // Keep the field order of the table rather than insertion order
+  return JSON.stringify(
+    records.map((record) =>
+      Object.fromEntries(fields.map((field) => [field, record[field] ?? ""])),
+    ),
+    null,
+    2,
+  );
+}
+
+export function downloadText(text, filename, type) {
+  // A byte order mark lets Excel read UTF-8 CSV files correctly
+  const content = type.startsWith("text/csv") ? ["\uFEFF", text] : [text];
+  const url = URL.createObjectURL(new Blob(content, { type }));
+
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.hidden = true;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  // Give the browser a moment to start the download before revoking
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
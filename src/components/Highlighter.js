@@ -0,0 +1,64 @@
+/**
+ * Highlighter Component
+ * Wraps search matches in <mark> elements and removes them again
+ */
+
+export const HIGHLIGHT_CLASS = "table-filter-highlight";
+
+function mergeRanges(ranges) {
+  const sorted = [...ranges].sort((a, b) => a[0] - b[0]);
+  const merged = [];
+  sorted.forEach(([start, end]) => {
+    const last = merged[merged.length - 1];
+    if (last && start <= last[1]) {
+      last[1] = Math.max(last[1], end);
+    } else {
+      merged.push([start, end]);
+    }
+  });
+  return merged;
+}
+
+// Only text nodes are wrapped, so links and other markup inside the cell
+// keep working and the cell's textContent is unchanged
+export function highlightMatches(element, terms, findMatches) {
+  const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+  const textNodes = [];
+  while (walker.nextNode()) {
+    textNodes.push(walker.currentNode);
+  }
+
+  textNodes.forEach((node) => {
+    const text = node.nodeValue;
+    const ranges = mergeRanges(
+      terms.flatMap((term) => findMatches(text, term)),
+    );
+    if (!ranges.length) return;
+
+    const fragment = document.createDocumentFragment();
+    let position = 0;
+    ranges.forEach(([start, end]) => {
+      if (start > position) {
+        fragment.append(text.slice(position, start));
+      }
+      const mark = document.createElement("mark");
+      mark.className = HIGHLIGHT_CLASS;
+      mark.textContent = text.slice(start, end);
+      fragment.append(mark);
+      position = end;
+    });
+    if (position < text.length) {
+      fragment.append(text.slice(position));
+    }
+    node.replaceWith(fragment);
+  });
+}
+
+export function removeHighlights(element) {
+  element.querySelectorAll(`mark.${HIGHLIGHT_CLASS}`).forEach((mark) => {
+    const parent = mark.parentNode;
+    mark.replaceWith(...mark.childNodes);
+    // Join the split text nodes back together
+    parent.normalize();
+  });
+}
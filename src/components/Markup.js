@@ -0,0 +1,18 @@
+/**
+ * Markup Component
+ * Escapes text from the table, URL or configuration before it is placed in
+ * generated HTML
+ */
+
+const HTML_ESCAPES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;",
+};
+
+// Safe for both element content and quoted attribute values
+export function escapeHTML(value) {
+  return String(value ?? "").replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+}
@@ -0,0 +1,56 @@
+/**
+ * QueryParams Component
+ * Gives each column a stable query string key, and finds the column a key
+ * from a shared link refers to
+ */
+
+import { normaliseCellText } from "./SortComparators.js";
+
+// Keys for the search keyword, sort and page rather than a column
+export const RESERVED_PARAMS = ["search", "sort", "page"];
+
+function toLookupKey(key) {
+  return normaliseCellText(key).toLowerCase();
+}
+
+// "Year of finding" -> "year-of-finding"
+export function toParamSlug(text) {
+  return normaliseCellText(text)
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+// columns is a list of { name, param, aliases } in column order. Returns the
+// key written for each column, and a map of every key read back to its index
+export function buildParamKeys(columns) {
+  const keys = columns.map(({ name, param }, columnIndex) => {
+    const key = param || toParamSlug(name) || `column-${columnIndex + 1}`;
+    // A column called "Page" must not be mistaken for the page number
+    return RESERVED_PARAMS.includes(key.toLowerCase()) ? `${key}-column` : key;
+  });
+
+  // Configured keys win over aliases, and aliases over header text, so a
+  // renamed header cannot take over another column's links
+  const lookup = new Map();
+  const addKey = (key, columnIndex) => {
+    const lookupKey = toLookupKey(key);
+    if (lookupKey && !lookup.has(lookupKey)) {
+      lookup.set(lookupKey, columnIndex);
+    }
+  };
+  keys.forEach(addKey);
+  columns.forEach(({ aliases }, columnIndex) => {
+    aliases.forEach((alias) => addKey(alias, columnIndex));
+  });
+  columns.forEach(({ name }, columnIndex) => addKey(name, columnIndex));
+
+  return { keys, lookup };
+}
+
+export function findParamColumn(lookup, key) {
+  const columnIndex = lookup.get(toLookupKey(key));
+  return columnIndex === undefined ? -1 : columnIndex;
+}
@@ -0,0 +1,200 @@
+/**
+ * RangeFilters Component
+ * Parses, formats and matches ranges for date and numeric columns
+ */
+
+import { getSortKey, parseDate, parseNumber } from "./SortComparators.js";
+
+// Sort types whose values can be filtered with a numeric range
+const NUMERIC_TYPES = ["number", "currency", "filesize"];
+
+const FILE_SIZE_STEPS = [
+  ["TB", 1024 ** 4],
+  ["GB", 1024 ** 3],
+  ["MB", 1024 ** 2],
+  ["KB", 1024],
+];
+
+export const DATE_PRESETS = [
+  { value: "last-12-months", label: "Last 12 months" },
+  { value: "this-year", label: "This year" },
+  { value: "last-year", label: "Last year" },
+];
+
+// Dates are held as ISO "yyyy-mm-dd" strings, matching <input type="date">
+function toISODate(timestamp) {
+  return new Date(timestamp).toISOString().slice(0, 10);
+}
+
+function isISODate(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(parseDate(value));
+}
+
+export function getDatePresetRange(preset, today = new Date()) {
+  const year = today.getFullYear();
+  const month = today.getMonth();
+  const day = today.getDate();
+
+  switch (preset) {
+    case "last-12-months":
+      return {
+        from: toISODate(Date.UTC(year - 1, month, day + 1)),
+        to: toISODate(Date.UTC(year, month, day)),
+      };
+    case "this-year":
+      return { from: `${year}-01-01`, to: `${year}-12-31` };
+    case "last-year":
+      return { from: `${year - 1}-01-01`, to: `${year - 1}-12-31` };
+    default:
+      return null;
+  }
+}
+
+export function normaliseDateRange(range) {
+  let from = isISODate(range?.from) ? range.from : "";
+  let to = isISODate(range?.to) ? range.to : "";
+  if (!from && !to) return null;
+
+  // Accept the ends in either order
+  if (from && to && from > to) {
+    [from, to] = [to, from];
+  }
+  return { from, to };
+}
+
+// URL values look like "2019-01-01..2022-06-30", with either end optional;
+// whole years can be written as "2019..2022" or just "2021", and presets
+// such as "this-year" by name
+export function parseDateRange(value) {
+  const presetRange = getDatePresetRange(String(value || "").trim());
+  if (presetRange) return presetRange;
+
+  const [start, end = start] = String(value || "")
+    .trim()
+    .split("..");
+
+  const from = /^\d{4}$/.test(start) ? `${start}-01-01` : start;
+  const to = /^\d{4}$/.test(end) ? `${end}-12-31` : end;
+  return normaliseDateRange({ from, to });
+}
+
+function getWholeYears(range) {
+  const fromYear = range.from.match(/^(\d{4})-01-01$/)?.[1];
+  const toYear = range.to.match(/^(\d{4})-12-31$/)?.[1];
+  return fromYear && toYear ? [fromYear, toYear] : null;
+}
+
+export function serialiseDateRange(range) {
+  const years = getWholeYears(range);
+  if (years) {
+    return years[0] === years[1] ? years[0] : years.join("..");
+  }
+  return `${range.from}..${range.to}`;
+}
+
+function formatDate(value) {
+  return new Date(parseDate(value)).toLocaleDateString("en-AU", {
+    day: "numeric",
+    month: "short",
+    year: "numeric",
+    timeZone: "UTC",
+  });
+}
+
+export function formatDateRange(range) {
+  const years = getWholeYears(range);
+  if (years) {
+    return years[0] === years[1] ? years[0] : `${years[0]}–${years[1]}`;
+  }
+  if (!range.to) return `from ${formatDate(range.from)}`;
+  if (!range.from) return `until ${formatDate(range.to)}`;
+  return `${formatDate(range.from)} – ${formatDate(range.to)}`;
+}
+
+export function isDateInRange(text, range) {
+  return isTimestampInRange(parseDate(text), range);
+}
+
+// For callers that have already parsed the cell's date
+export function isTimestampInRange(timestamp, range) {
+  // Rows without a recognisable date never match an active range
+  if (isNaN(timestamp)) return false;
+  if (range.from && timestamp < parseDate(range.from)) return false;
+  if (range.to && timestamp > parseDate(range.to)) return false;
+  return true;
+}
+
+// Read a cell or input value as a number, using the column's sort type so
+// "$1,200.00" and "2.7 MB" work as well as plain numbers
+export function parseNumericValue(text, sortType) {
+  const value = NUMERIC_TYPES.includes(sortType)
+    ? getSortKey(text, sortType)
+    : NaN;
+  return isNaN(value) ? parseNumber(text) : value;
+}
+
+export function getNumberBounds(values) {
+  const numbers = values.filter((value) => !isNaN(value));
+  if (!numbers.length) return null;
+  return { min: Math.min(...numbers), max: Math.max(...numbers) };
+}
+
+function toNumberOrNull(value) {
+  if (value === null || value === undefined || value === "") return null;
+  const number = Number(value);
+  return isFinite(number) ? number : null;
+}
+
+export function normaliseNumberRange(range) {
+  let min = toNumberOrNull(range?.min);
+  let max = toNumberOrNull(range?.max);
+  if (min === null && max === null) return null;
+
+  // Accept the ends in either order
+  if (min !== null && max !== null && min > max) {
+    [min, max] = [max, min];
+  }
+  return { min, max };
+}
+
+// URL values look like "100..2500", with either end optional
+export function parseNumberRange(value) {
+  const [min = "", max = ""] = String(value || "")
+    .trim()
+    .split("..");
+  return normaliseNumberRange({ min, max });
+}
+
+export function serialiseNumberRange(range) {
+  return `${range.min ?? ""}..${range.max ?? ""}`;
+}
+
+export function formatNumber(value, sortType) {
+  if (sortType === "filesize") {
+    const [unit, size] = FILE_SIZE_STEPS.find(
+      ([, stepSize]) => Math.abs(value) >= stepSize,
+    ) || ["bytes", 1];
+    return `${Number((value / size).toFixed(1))} ${unit}`;
+  }
+
+  const formatted = Math.abs(value).toLocaleString("en-AU", {
+    minimumFractionDigits: sortType === "currency" && value % 1 ? 2 : 0,
+    maximumFractionDigits: 2,
+  });
+  const sign = value < 0 ? "-" : "";
+  return sortType === "currency" ? `${sign}$${formatted}` : sign + formatted;
+}
+
+export function formatNumberRange(range, sortType) {
+  if (range.max === null) return `${formatNumber(range.min, sortType)} or more`;
+  if (range.min === null) return `up to ${formatNumber(range.max, sortType)}`;
+  return `${formatNumber(range.min, sortType)} – ${formatNumber(range.max, sortType)}`;
+}
+
+export function isNumberInRange(value, range) {
+  // Cells without a number never match an active range
+  if (isNaN(value)) return false;
+  if (range.min !== null && value < range.min) return false;
+  if (range.max !== null && value > range.max) return false;
+  return true;
+}
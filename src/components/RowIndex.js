@@ -0,0 +1,90 @@
+/**
+ * RowIndex Component
+ * Caches each row's cells, text, cell values and sort keys so filtering and
+ * sorting do not read the DOM again on every keystroke
+ */
+
+export function createRowEntry(row) {
+  return {
+    row,
+    cells: Array.from(row.querySelectorAll("td")),
+    text: null, // the row's textContent, read on first use
+    prepared: new Map(), // column index, or "row", -> text prepared for search
+    values: new Map(), // column index -> lower-cased filter values
+    rangeValues: new Map(), // column index -> parsed number or timestamp
+    sortKeys: new Map(), // column index -> { sortType, text, key }
+  };
+}
+
+// Entries are created on first use and dropped with their rows, so added
+// rows are indexed automatically; refresh() clears the index after edits
+export function createRowIndex() {
+  let entries = new WeakMap();
+
+  return {
+    get(row) {
+      let entry = entries.get(row);
+      if (!entry) {
+        entry = createRowEntry(row);
+        entries.set(row, entry);
+      }
+      return entry;
+    },
+    clear() {
+      entries = new WeakMap();
+    },
+  };
+}
+
+export function getCachedValue(cache, key, compute) {
+  if (!cache.has(key)) {
+    cache.set(key, compute());
+  }
+  return cache.get(key);
+}
+
+export function debounce(callback, delay) {
+  let timer = null;
+  const debounced = (...args) => {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      timer = null;
+      callback(...args);
+    }, delay);
+  };
+  debounced.cancel = () => {
+    clearTimeout(timer);
+    timer = null;
+  };
+  return debounced;
+}
+
+const requestIdle =
+  typeof window !== "undefined" && window.requestIdleCallback
+    ? (callback) => window.requestIdleCallback(callback, { timeout: 100 })
+    : (callback) => setTimeout(callback, 0);
+
+// Process items in chunks while the browser is idle, so typing stays
+// responsive on very large tables. isCurrent() lets a newer run cancel this one
+export function processInChunks(
+  items,
+  chunkSize,
+  processItem,
+  isCurrent,
+  done,
+) {
+  let index = 0;
+  const next = () => {
+    if (!isCurrent()) return;
+    const end = Math.min(index + chunkSize, items.length);
+    for (; index < end; index++) {
+      processItem(items[index], index);
+    }
+    if (index < items.length) {
+      requestIdle(next);
+    } else {
+      done();
+    }
+  };
+  next();
+}
@@ -0,0 +1,101 @@
+/**
+ * SearchQuery Component
+ * Parses the search box into terms, phrases, exclusions and column-scoped terms
+ */
+
+// Matches an optional "-", an optional "column:" prefix, then either a
+// "quoted phrase" (the closing quote may still be being typed) or a word
+const TOKEN_PATTERN = /(-)?(?:([^\s:"]+):)?(?:"([^"]*)"?|(\S+))/g;
+
+function normaliseSearchText(text) {
+  return String(text || "")
+    .replace(/\s+/g, " ")
+    .trim()
+    .toLowerCase();
+}
+
+// Reduce a column name to letters and digits so "year-of-finding",
+// "year_of_finding" and "Year of finding" all refer to the same column
+export function toColumnKey(name) {
+  return normaliseSearchText(name).replace(/[^a-z0-9]/g, "");
+}
+
+export function parseSearchQuery(query) {
+  const tokens = [];
+  const source = String(query || "");
+
+  for (const match of source.matchAll(TOKEN_PATTERN)) {
+    const [raw, minus, column, phrase, word] = match;
+
+    // A bare, upper-case OR joins the terms either side of it
+    if (raw === "OR") {
+      tokens.push({ type: "or", raw });
+      continue;
+    }
+
+    const text = phrase !== undefined ? phrase : word;
+    if (!normaliseSearchText(text)) continue;
+
+    tokens.push({
+      type: "term",
+      raw,
+      text: text.replace(/\s+/g, " ").trim(),
+      value: normaliseSearchText(text),
+      phrase: phrase !== undefined,
+      exclude: Boolean(minus),
+      column: column || null,
+    });
+  }
+
+  return tokens;
+}
+
+export function groupSearchTerms(tokens) {
+  // Terms are ANDed together; terms joined by OR share a group
+  const groups = [];
+  let joinNext = false;
+
+  tokens.forEach((token) => {
+    if (token.type === "or") {
+      joinNext = groups.length > 0;
+      return;
+    }
+    if (joinNext) {
+      groups[groups.length - 1].push(token);
+    } else {
+      groups.push([token]);
+    }
+    joinNext = false;
+  });
+
+  return groups;
+}
+
+function includesText(text, value) {
+  return text.includes(value);
+}
+
+export function matchesSearchTerm(term, getText, matches = includesText) {
+  const found = matches(getText(term.columnIndex ?? null), term.value);
+  return term.exclude ? !found : found;
+}
+
+export function matchesSearchGroups(groups, getText, matches) {
+  return groups.every((group) =>
+    group.some((term) => matchesSearchTerm(term, getText, matches)),
+  );
+}
+
+export function removeSearchToken(tokens, tokenIndex) {
+  const remaining = tokens.filter((_, index) => index !== tokenIndex);
+
+  // Drop any OR left dangling at either end or next to another OR
+  const cleaned = remaining.filter((token, index) => {
+    if (token.type !== "or") return true;
+    const previous = remaining[index - 1];
+    const next = remaining[index + 1];
+    return previous?.type === "term" && next?.type === "term";
+  });
+
+  return cleaned.map((token) => token.raw).join(" ");
+}
@@ -0,0 +1,223 @@
+/**
+ * SortComparators Component
+ * Detects column value types and compares values for sorting
+ */
+
+export const SORT_TYPES = [
+  "date",
+  "number",
+  "currency",
+  "filesize",
+  "natural",
+  "text",
+];
+
+// Share of a column's values that must parse for a type to be detected
+const DETECTION_THRESHOLD = 0.8;
+
+const MONTH_NAMES = [
+  "january",
+  "february",
+  "march",
+  "april",
+  "may",
+  "june",
+  "july",
+  "august",
+  "september",
+  "october",
+  "november",
+  "december",
+];
+
+const FILE_SIZE_UNITS = {
+  b: 1,
+  byte: 1,
+  bytes: 1,
+  kb: 1024,
+  kib: 1024,
+  mb: 1024 ** 2,
+  mib: 1024 ** 2,
+  gb: 1024 ** 3,
+  gib: 1024 ** 3,
+  tb: 1024 ** 4,
+  tib: 1024 ** 4,
+};
+
+// Collapse whitespace, including &nbsp; and line breaks from the markup
+export function normaliseCellText(text) {
+  return String(text || "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function getMonthIndex(name) {
+  const month = name.toLowerCase().replace(/\.$/, "");
+  if (month.length < 3) return -1;
+  return MONTH_NAMES.findIndex((monthName) => monthName.startsWith(month));
+}
+
+function toTimestamp(year, monthIndex, day) {
+  if (year < 100) {
+    year += year < 50 ? 2000 : 1900;
+  }
+  if (monthIndex < 0 || monthIndex > 11 || day < 1 || day > 31) return NaN;
+  return Date.UTC(year, monthIndex, day);
+}
+
+export function parseDate(text) {
+  const value = normaliseCellText(text);
+  let match;
+
+  // 2021-10-12 (ISO)
+  match = value.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T ].*)?$/);
+  if (match) {
+    return toTimestamp(+match[1], +match[2] - 1, +match[3]);
+  }
+
+  // 12/10/2021, 12-10-2021 or 12.10.21 (day first)
+  match = value.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4}|\d{2})$/);
+  if (match) {
+    return toTimestamp(+match[3], +match[2] - 1, +match[1]);
+  }
+
+  // 11 December 1981, Friday 11th Dec. 1981, allowing a trailing note
+  // such as "22 September 2023 Agency response report"
+  match = value.match(
+    /^(?:[a-z]+,?\s+)?(\d{1,2})(?:st|nd|rd|th)?\s+([a-z]+\.?),?\s+(\d{4})(?:\s.*)?$/i,
+  );
+  if (match) {
+    return toTimestamp(+match[3], getMonthIndex(match[2]), +match[1]);
+  }
+
+  // December 11, 1981
+  match = value.match(
+    /^([a-z]+\.?)\s+(\d{1,2})(?:st|nd|rd|th)?,?\s+(\d{4})(?:\s.*)?$/i,
+  );
+  if (match) {
+    return toTimestamp(+match[3], getMonthIndex(match[1]), +match[2]);
+  }
+
+  // December 1981
+  match = value.match(/^([a-z]+\.?)\s+(\d{4})$/i);
+  if (match) {
+    return toTimestamp(+match[2], getMonthIndex(match[1]), 1);
+  }
+
+  return NaN;
+}
+
+export function parseNumber(text) {
+  const value = normaliseCellText(text).replace(/\s/g, "");
+  if (
+    !/^[-+−]?(\d{1,3}(,\d{3})+|\d*)(\.\d+)?%?$/.test(value) ||
+    !/\d/.test(value)
+  ) {
+    return NaN;
+  }
+  return parseFloat(value.replace(/[,%]/g, "").replace("−", "-"));
+}
+
+export function parseCurrency(text) {
+  let value = normaliseCellText(text).replace(/\s/g, "");
+
+  // Accounting style negatives, e.g. ($1,200.00)
+  let negative = false;
+  const parenthesised = value.match(/^\((.*)\)$/);
+  if (parenthesised) {
+    negative = true;
+    value = parenthesised[1];
+  }
+
+  const match = value.match(
+    /^([-−]?)(?:AUD|USD|A\$|US\$|\$|€|£|¥)([-−]?)([\d,]+(?:\.\d+)?)(?:AUD|USD)?$/i,
+  );
+  if (!match) return NaN;
+
+  const amount = parseNumber(match[3]);
+  if (isNaN(amount)) return NaN;
+  return negative || match[1] || match[2] ? -amount : amount;
+}
+
+export function parseFileSize(text) {
+  // 2.7 MB, 503.9 KB or PDF (2.7 MB)
+  const match = normaliseCellText(text).match(
+    /^(?:[a-z]{2,5}\s*)?\(?\s*(\d+(?:\.\d+)?)\s*(bytes?|b|[kmgt]i?b)\s*\)?$/i,
+  );
+  if (!match) return NaN;
+  return parseFloat(match[1]) * FILE_SIZE_UNITS[match[2].toLowerCase()];
+}
+
+export function getSortKey(text, type) {
+  switch (type) {
+    case "date":
+      return parseDate(text);
+    case "number":
+      return parseNumber(text);
+    case "currency":
+      return parseCurrency(text);
+    case "filesize":
+      return parseFileSize(text);
+    default:
+      return normaliseCellText(text);
+  }
+}
+
+export function detectSortType(values) {
+  const samples = values.map(normaliseCellText).filter((value) => value);
+  if (!samples.length) return "text";
+
+  // A type applies when nearly every value in the column parses as it, so a
+  // stray "TBA" or "N/A" doesn't turn a date column back into text
+  const parsers = [
+    ["date", parseDate],
+    ["currency", parseCurrency],
+    ["filesize", parseFileSize],
+    ["number", parseNumber],
+  ];
+  for (const [type, parse] of parsers) {
+    const parsed = samples.filter((value) => !isNaN(parse(value))).length;
+    if (parsed / samples.length >= DETECTION_THRESHOLD) {
+      return type;
+    }
+  }
+
+  return samples.some((value) => /\d/.test(value)) ? "natural" : "text";
+}
+
+export function compareText(a, b) {
+  return normaliseCellText(a).localeCompare(normaliseCellText(b), undefined, {
+    sensitivity: "base",
+  });
+}
+
+export function compareNatural(a, b) {
+  return normaliseCellText(a).localeCompare(normaliseCellText(b), undefined, {
+    numeric: true,
+    sensitivity: "base",
+  });
+}
+
+export function compareSortKeys(aKey, bKey, type) {
+  if (type === "text") return compareText(aKey, bKey);
+  if (type === "natural" || typeof aKey === "string") {
+    return compareNatural(aKey, bKey);
+  }
+
+  // Values that don't parse as the column type sort after those that do
+  const aValid = !isNaN(aKey);
+  const bValid = !isNaN(bKey);
+  if (aValid && bValid) return aKey - bKey;
+  if (aValid !== bValid) return aValid ? -1 : 1;
+  return 0;
+}
+
+export function compareValues(a, b, type) {
+  const comparison = compareSortKeys(
+    getSortKey(a, type),
+    getSortKey(b, type),
+    type,
+  );
+  // Break ties between unparseable values alphabetically
+  return comparison || compareNatural(a, b);
+}
@@ -0,0 +1,31 @@
+/**
+ * StateStorage Component
+ * Reads and writes saved table state in localStorage, keyed by page and
+ * table so each table on each page keeps its own
+ */
+
+export function getStorageKey(pathname, tableId, name) {
+  return `table-filter:${pathname}:${tableId}:${name}`;
+}
+
+// Storage can be full, disabled or blocked in private browsing, so failures
+// are reported and otherwise ignored
+export function readStorage(key, fallback) {
+  try {
+    const value = window.localStorage.getItem(key);
+    return value === null ? fallback : JSON.parse(value);
+  } catch (err) {
+    console.warn("Saved table state could not be read:", err);
+    return fallback;
+  }
+}
+
+export function writeStorage(key, value) {
+  try {
+    window.localStorage.setItem(key, JSON.stringify(value));
+    return true;
+  } catch (err) {
+    console.warn("Table state could not be saved:", err);
+    return false;
+  }
+}
@@ -0,0 +1,203 @@
+/**
+ * TextMatching Component
+ * Exact, normalised and fuzzy text matching for the search box
+ */
+
+import { normaliseCellText } from "./SortComparators.js";
+
+export const SEARCH_MODES = ["exact", "normalised", "fuzzy"];
+
+// Lower-case, strip diacritics and apostrophes, and turn other punctuation
+// into spaces, so "Wauchope-Dirdi" matches "wauchope dirdi" and "O'Brien"
+// matches "obrien"
+export function foldText(text) {
+  return normaliseCellText(
+    String(text || "")
+      .normalize("NFD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .toLowerCase()
+      .replace(/['\u2018\u2019`]/g, "")
+      .replace(/[^\p{L}\p{N}]+/gu, " "),
+  );
+}
+
+function prepareExactChar(char) {
+  return /\s/.test(char) ? " " : char.toLowerCase();
+}
+
+function prepareFoldedChar(char) {
+  if (/['\u2018\u2019`]/.test(char)) return "";
+  const folded = char
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase();
+  return /^[\p{L}\p{N}]*$/u.test(folded) ? folded : " ";
+}
+
+// Prepare text one character at a time, remembering where each prepared
+// character came from so matches can be mapped back onto the original text
+function mapPreparedText(text, prepareChar) {
+  let prepared = "";
+  const positions = [];
+  for (let i = 0; i < text.length; i++) {
+    for (const char of prepareChar(text[i])) {
+      if (char === " " && prepared.endsWith(" ")) continue;
+      prepared += char;
+      positions.push(i);
+    }
+  }
+  return { prepared, positions };
+}
+
+function findSubstringRanges(text, term, prepareChar) {
+  const { prepared, positions } = mapPreparedText(text, prepareChar);
+  const ranges = [];
+  if (!term) return ranges;
+
+  let index = prepared.indexOf(term);
+  while (index !== -1) {
+    ranges.push([positions[index], positions[index + term.length - 1] + 1]);
+    index = prepared.indexOf(term, index + term.length);
+  }
+  return ranges;
+}
+
+function findFuzzyRanges(text, term) {
+  const ranges = findSubstringRanges(text, term, prepareFoldedChar);
+
+  // Also mark whole words that are a close match for one of the term's words
+  const { prepared, positions } = mapPreparedText(text, prepareFoldedChar);
+  const termWords = term.split(" ");
+  for (const match of prepared.matchAll(/[^ ]+/g)) {
+    const isMatch = termWords.some(
+      (termWord) =>
+        prefixDistance(termWord, match[0]) <= getAllowedDistance(termWord),
+    );
+    if (isMatch) {
+      ranges.push([
+        positions[match.index],
+        positions[match.index + match[0].length - 1] + 1,
+      ]);
+    }
+  }
+  return ranges;
+}
+
+export function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Smallest edit distance between a term and any prefix of a word, so a
+// partly typed word like "wauchop" still matches "wauchope"
+function prefixDistance(term, word) {
+  let previous = Array.from({ length: word.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= term.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= word.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (term[i - 1] === word[j - 1] ? 0 : 1),
+      );
+    }
+    previous = current;
+  }
+  return Math.min(...previous);
+}
+
+// Short words and numbers must match exactly; longer words tolerate one or
+// two typos
+export function getAllowedDistance(word) {
+  if (word.length <= 3 || /\d/.test(word)) return 0;
+  if (word.length <= 6) return 1;
+  return 2;
+}
+
+function fuzzyIncludes(text, term) {
+  if (text.includes(term)) return true;
+
+  // Every word of the term must closely match consecutive words in the text
+  const termWords = term.split(" ");
+  const textWords = text.split(" ");
+  for (let i = 0; i <= textWords.length - termWords.length; i++) {
+    const matches = termWords.every(
+      (termWord, j) =>
+        prefixDistance(termWord, textWords[i + j]) <=
+        getAllowedDistance(termWord),
+    );
+    if (matches) return true;
+  }
+  return false;
+}
+
+export function createSearchMatcher(mode = "exact") {
+  // Accept the US spelling as well
+  const searchMode = mode === "normalized" ? "normalised" : mode;
+
+  if (searchMode === "normalised") {
+    return {
+      mode: searchMode,
+      prepare: foldText,
+      matches: (text, term) => text.includes(term),
+      findMatches: (text, term) =>
+        findSubstringRanges(text, term, prepareFoldedChar),
+    };
+  }
+
+  if (searchMode === "fuzzy") {
+    return {
+      mode: searchMode,
+      prepare: foldText,
+      matches: fuzzyIncludes,
+      findMatches: findFuzzyRanges,
+    };
+  }
+
+  if (searchMode !== "exact") {
+    console.warn(`Unknown search mode: ${mode}`);
+  }
+  return {
+    mode: "exact",
+    prepare: (text) => normaliseCellText(text).toLowerCase(),
+    matches: (text, term) => text.includes(term),
+    findMatches: (text, term) =>
+      findSubstringRanges(text, term, prepareExactChar),
+  };
+}
+
+export function findClosestWord(word, vocabulary) {
+  // vocabulary maps each word to the number of times it appears
+  const maxDistance = Math.max(1, getAllowedDistance(word));
+  let closest = null;
+  let closestDistance = Infinity;
+  let closestCount = 0;
+
+  vocabulary.forEach((count, candidate) => {
+    if (Math.abs(candidate.length - word.length) > maxDistance) return;
+
+    const distance = levenshtein(word, candidate);
+    if (
+      distance <= maxDistance &&
+      (distance < closestDistance ||
+        (distance === closestDistance && count > closestCount))
+    ) {
+      closest = candidate;
+      closestDistance = distance;
+      closestCount = count;
+    }
+  });
+
+  return closest;
+}
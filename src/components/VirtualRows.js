@@ -0,0 +1,40 @@
+/**
+ * VirtualRows Component
+ * Works out which rows of a long list fall inside the viewport, and builds
+ * the spacer rows that keep the table's scroll height correct
+ */
+
+export const SPACER_CLASS = "table-filter-spacer";
+
+// offsetTop is the distance from the top of the viewport to the first row,
+// negative once the table has scrolled up past it
+export function getVisibleRange({
+  count,
+  rowHeight,
+  buffer,
+  offsetTop,
+  viewportHeight,
+}) {
+  const first = Math.floor(-offsetTop / rowHeight);
+  const last = Math.ceil((viewportHeight - offsetTop) / rowHeight);
+  const start = Math.min(Math.max(first - buffer, 0), count);
+  const end = Math.min(Math.max(last + buffer, start), count);
+  return { start, end };
+}
+
+export function createSpacerRow(columnCount) {
+  const row = document.createElement("tr");
+  row.className = SPACER_CLASS;
+  row.setAttribute("aria-hidden", "true");
+  row.hidden = true;
+
+  const cell = document.createElement("td");
+  cell.colSpan = Math.max(columnCount, 1);
+  row.appendChild(cell);
+  return row;
+}
+
+export function setSpacerHeight(row, height) {
+  row.hidden = height <= 0;
+  row.cells[0].style.height = `${Math.max(height, 0)}px`;
+}
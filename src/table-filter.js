@@ -3,9 +3,116 @@
  * A simple table filtering component for legacy agency sites
  */
 
+import {
+  SORT_TYPES,
+  compareNatural,
+  compareSortKeys,
+  compareValues,
+  detectSortType,
+  getSortKey,
+  normaliseCellText,
+  parseDate,
+} from "./components/SortComparators.js";
+import {
+  groupSearchTerms,
+  matchesSearchGroups,
+  parseSearchQuery,
+  removeSearchToken,
+  toColumnKey,
+} from "./components/SearchQuery.js";
+import {
+  createSearchMatcher,
+  findClosestWord,
+} from "./components/TextMatching.js";
+import {
+  highlightMatches,
+  removeHighlights,
+} from "./components/Highlighter.js";
+import {
+  DATE_PRESETS,
+  formatDateRange,
+  formatNumber,
+  formatNumberRange,
+  getDatePresetRange,
+  getNumberBounds,
+  isTimestampInRange,
+  isNumberInRange,
+  normaliseDateRange,
+  normaliseNumberRange,
+  parseDateRange,
+  parseNumberRange,
+  parseNumericValue,
+  serialiseDateRange,
+  serialiseNumberRange,
+} from "./components/RangeFilters.js";
+import {
+  MATCH_MODES,
+  buildColumnConfig,
+  getColumnSettings,
+  resolveValueAlias,
+} from "./components/ColumnConfig.js";
+import { escapeHTML } from "./components/Markup.js";
+import {
+  fetchRecords,
+  getColumnsFromHeaders,
+  getRecordValue,
+  getSafeLink,
+  normaliseColumns,
+} from "./components/DataSource.js";
+import {
+  createRowIndex,
+  debounce,
+  getCachedValue,
+  processInChunks,
+} from "./components/RowIndex.js";
+import {
+  SPACER_CLASS,
+  createSpacerRow,
+  getVisibleRange,
+  setSpacerHeight,
+} from "./components/VirtualRows.js";
+import {
+  EXPORT_FORMATS,
+  downloadText,
+  toCSV,
+  toJSON,
+} from "./components/Export.js";
+import {
+  RESERVED_PARAMS,
+  buildParamKeys,
+  findParamColumn,
+} from "./components/QueryParams.js";
+import {
+  getStorageKey,
+  readStorage,
+  writeStorage,
+} from "./components/StateStorage.js";
+
+// Registry of initialised instances, keyed by table element
+const instances = new Map();
+
+// Signature of activeFilters with nothing selected, see getFiltersSignature
+const EMPTY_FILTERS_SIGNATURE = JSON.stringify(["", [], [], []]);
+
+// Option callbacks matching each dispatched tablefilter:* event
+const EVENT_CALLBACKS = {
+  init: "onInit",
+  beforefilter: "onBeforeFilter",
+  filter: "onFilter",
+  beforesort: "onBeforeSort",
+  sort: "onSort",
+  clear: "onClear",
+  page: "onPage",
+  copy: "onCopy",
+  export: "onExport",
+};
+
 class TableFilter {
   constructor(tableSelector, options = {}) {
-    this.table = document.querySelector(tableSelector);
+    this.table =
+      typeof tableSelector === "string"
+        ? document.querySelector(tableSelector)
+        : tableSelector;
     this.options = {
       searchInputClass: options.searchInputClass || "table-filter-search",
       noResultsClass: options.noResultsClass || "table-filter-no-results",
@@ -17,29 +124,485 @@ class TableFilter {
       return;
     }
 
+    if (instances.has(this.table)) {
+      console.warn(`Table filter already initialised: ${tableSelector}`);
+      return;
+    }
+
+    // The first instance keeps the original element IDs so existing page
+    // styles still apply; later instances get a numeric suffix. Numbers are
+    // taken from the live instances, so a table re-created after destroy()
+    // gets its old IDs back
+    const usedNumbers = new Set(
+      Array.from(instances.values(), (instance) => instance.idNumber),
+    );
+    this.idNumber = 1;
+    while (usedNumbers.has(this.idNumber)) this.idNumber++;
+    this.idSuffix = this.idNumber === 1 ? "" : `-${this.idNumber}`;
+    this.configElement = this.options.configElement || this.findConfigElement();
+
     this.filterContainer = null;
     this.searchInput = null;
     this.columnFilters = [];
+    this.rangeFilters = []; // date and number range filters, see generateDateFilters
+    this.showRangeSliders = false;
+    this.columnConfig = null; // labels, placeholders, aliases and match modes
+    this.columnMatchModes = {}; // columnIndex -> mode set with setColumnMatchMode()
+    this.filterStyle = "select"; // 'select' or 'checkboxes'
+    this.columnValueCounts = null; // columnIndex -> Map of value -> row count
+    this.cascadingFilters = null; // null (static), 'hide' or 'disable'
+    this.showOptionCounts = false;
     this.activeFilters = {
       search: "",
       columns: {},
+      excluded: {}, // columnIndex -> values that rows must not contain
+      ranges: {}, // columnIndex -> { from, to } for dates, { min, max } for numbers
     };
     this.sortState = {
       columnIndex: null,
       direction: null, // 'asc' or 'desc'
     };
+    this.pagination = {
+      itemsPerPage: 0, // 0 disables pagination
+      currentPage: 1,
+      mode: "pages", // 'pages' or 'load-more'
+      pageSizes: [],
+      filterSignature: null,
+      range: null, // { start, end } of the rows shown, for the results summary
+    };
+    this.paginationContainer = null;
+    this.noResultsMessage = null;
+    this.resultsSummary = null;
+    this.filteredRows = null;
+    this.defaultSort = null; // { columnIndex, direction } from configuration
+    this.columnSortTypes = {}; // columnIndex -> detected or declared sort type
+    this.searchMatcher = null; // exact, normalised or fuzzy matching
+    this.searchVocabulary = null; // word -> count, built for suggestions
+    this.highlightEnabled = true;
+    this.highlightedRows = new Set();
+    this.highlightedTerms = null; // search terms the marks were made for
+    this.rowIndex = createRowIndex(); // cached cells, text and sort keys per row
+    this.filterRun = 0; // lets a new filterTable() cancel a chunked one
+    this.filterPending = false; // a chunked run has not finished yet
+    this.virtual = null; // row list and rendered window when virtual rows are on
+    this.dataSource = null; // { url, records, format, columns } for remote data
+    this.dataColumns = []; // { key, label, sortType, link } for each rendered column
+    this.dataStatus = null; // 'loading', 'error' or null once loaded
+    this.dataStatusMessage = null;
+    this.dataRequest = 0; // ignores responses from superseded reloads
+    this.queryParams = null; // prefix, column keys and key lookup for URLs
+    this.queryStringNotice = null;
+    this.historySync = false; // keep the URL in step with the filters
+    this.persistState = false; // remember filters and sort between visits
+    this.savedViewsEnabled = false;
+    this.savedViewEdit = null; // { name, action } while renaming or deleting
+    this.presets = []; // { element, params, filters, sort } for quick filters
+    this.historyKey = null; // the URL's parameters other than the search keyword
+    this.historyUpdate = null; // pending URL update, see updateHistory
+    this.initialised = false; // events are only dispatched once init completes
+    this.listenerController = new AbortController();
+    this.originalHeaders = [];
+    this.filterMarkupGenerated = false;
+    this.tableAttributeAdded = false;
+
+    instances.set(this.table, this);
+
+    // Tables built from a JSON or CSV file initialise once the rows load
+    this.dataSource = this.getDataSourceSettings();
+    if (this.dataSource) {
+      this.reload();
+    } else {
+      this.init();
+    }
+  }
+
+  static getInstance(table) {
+    const element =
+      typeof table === "string"
+        ? document.getElementById(table.replace(/^#/, ""))
+        : table;
+    return instances.get(element) || null;
+  }
+
+  static getInstances() {
+    return Array.from(instances.values());
+  }
+
+  findConfigElement() {
+    // Prefer the [data-table-filter] element that points at this table
+    if (this.table.id) {
+      const configElement = Array.from(
+        document.querySelectorAll("[data-table-filter][data-table-id]"),
+      ).find((el) => el.getAttribute("data-table-id") === this.table.id);
+      if (configElement) return configElement;
+    }
+
+    // Otherwise the attributes may sit on the table itself
+    return this.table.hasAttribute("data-table-filter") ? this.table : null;
+  }
+
+  getDataSourceSettings() {
+    const source =
+      this.options.dataSource ??
+      this.configElement?.getAttribute("data-source-url");
+    if (!source) return null;
+
+    // dataSource may be a URL, an array of records or a settings object
+    const settings =
+      typeof source === "string"
+        ? { url: source }
+        : Array.isArray(source)
+          ? { records: source }
+          : { ...source };
+
+    return {
+      url: settings.url || null,
+      records: settings.records || null,
+      format:
+        settings.format ||
+        this.configElement?.getAttribute("data-source-format") ||
+        null,
+      columns: normaliseColumns(
+        settings.columns ||
+          this.configElement?.getAttribute("data-source-columns"),
+      ),
+    };
+  }
+
+  reload() {
+    if (!this.dataSource) {
+      console.warn("reload() needs a dataSource or data-source-url");
+      return Promise.resolve();
+    }
+    if (instances.get(this.table) !== this) return Promise.resolve();
+
+    const request = ++this.dataRequest;
+    const { url, records } = this.dataSource;
+    // Skip responses overtaken by a later reload or by destroy()
+    const isCurrent = () =>
+      request === this.dataRequest && instances.get(this.table) === this;
+    this.setDataStatus("loading");
+
+    // Only fetch and parse failures are reported as a failed load. Errors
+    // while rendering or initialising are left to reject the promise
+    return (
+      records ? Promise.resolve(records) : fetchRecords(this.dataSource)
+    ).then(
+      (data) => {
+        if (!isCurrent()) return;
+
+        this.setDataStatus(null);
+        this.renderRows(data);
+        if (this.initialised) {
+          this.refresh();
+        } else {
+          this.init();
+        }
+      },
+      (err) => {
+        if (!isCurrent()) return;
+        console.warn(`Table data could not be loaded: ${url}`, err);
+        this.setDataStatus("error");
+      },
+    );
+  }
+
+  renderRows(records) {
+    const thead = this.table.tHead || this.table.createTHead();
+    let headerRow = thead.rows[0];
+
+    // Use the column definition, or match the existing headers to the
+    // record keys, or fall back to the keys of the first record
+    if (!this.dataColumns.length) {
+      this.dataColumns = this.dataSource.columns.length
+        ? this.dataSource.columns
+        : headerRow?.cells.length
+          ? getColumnsFromHeaders(Array.from(headerRow.cells), records[0])
+          : normaliseColumns(Object.keys(records[0] || {}));
+    }
+
+    if (!headerRow?.cells.length) {
+      headerRow = headerRow || thead.insertRow();
+      this.dataColumns.forEach((column) => {
+        const header = document.createElement("th");
+        header.textContent = column.label;
+        if (column.sortType) {
+          header.setAttribute("data-sort-type", column.sortType);
+        }
+        headerRow.appendChild(header);
+      });
+    }
+
+    const tbody = this.table.tBodies[0] || this.table.createTBody();
+    const rows = records.map((record) => {
+      const row = document.createElement("tr");
+      this.dataColumns.forEach((column) => {
+        const cell = row.insertCell();
+        const text = getRecordValue(record, column.key);
+        const href = column.link && getSafeLink(record[column.link]);
+        if (href) {
+          const link = document.createElement("a");
+          link.href = href;
+          link.textContent = text;
+          cell.appendChild(link);
+        } else {
+          cell.textContent = text;
+        }
+      });
+      return row;
+    });
+
+    // Virtual rows are attached by renderVirtualRows() after refresh().
+    // The old window is cleared so refresh() doesn't take its rows for
+    // rows appended to the table
+    if (this.virtual) {
+      tbody.replaceChildren();
+      this.virtual.rows = rows;
+    } else {
+      tbody.replaceChildren(...rows);
+    }
+  }
+
+  setDataStatus(status) {
+    this.dataStatus = status;
+    this.table.toggleAttribute("aria-busy", status === "loading");
+
+    if (!status) {
+      this.dataStatusMessage?.remove();
+      this.dataStatusMessage = null;
+      return;
+    }
+
+    if (!this.dataStatusMessage) {
+      this.dataStatusMessage = document.createElement("div");
+      this.dataStatusMessage.setAttribute("role", "status");
+      this.table.parentNode.insertBefore(this.dataStatusMessage, this.table);
+    }
+
+    const message = this.dataStatusMessage;
+    message.className = `table-filter-status table-filter-status-${status}`;
+    if (status === "loading") {
+      message.textContent = "Loading data…";
+      return;
+    }
+
+    // Let the user try again after a failed load
+    const retry = document.createElement("button");
+    retry.type = "button";
+    retry.className = "filter-link-button";
+    retry.textContent = "Try again";
+    retry.addEventListener("click", () => this.reload(), {
+      signal: this.listenerController.signal,
+    });
+    message.replaceChildren("The data could not be loaded. ", retry);
+  }
 
-    this.init();
+  getElementId(name) {
+    return `${name}${this.idSuffix}`;
+  }
+
+  getElement(name) {
+    return document.getElementById(this.getElementId(name));
   }
 
   init() {
     // Add data-table-filter attribute to the table for CSS targeting
+    this.tableAttributeAdded = !this.table.hasAttribute("data-table-filter");
     this.table.setAttribute("data-table-filter", "");
 
+    this.initializeSearchMode();
+    this.initializeColumnConfig();
+    this.initializeQueryParams();
+    this.initializeVirtualRows();
     this.createFilterMarkup();
+    this.createResultsSummary();
+    this.updateFilterActions();
     this.initializeTableHeaders();
+    this.initializeDefaultSort();
+    this.initializePagination();
     this.attachEventListeners();
     this.applyQueryStringFilters();
+    this.restorePersistedState();
+    this.initializePresets();
+
+    // Render the first page and value counts even when no filters came
+    // from the URL
+    if (
+      (this.pagination.itemsPerPage ||
+        this.virtual ||
+        this.columnFilters.some((f) => this.needsValueCounts(f))) &&
+      !this.filteredRows
+    ) {
+      this.filterTable();
+    }
+
+    this.initializeHistorySync();
+
+    this.initialised = true;
+    this.triggerEvent("init");
+  }
+
+  triggerEvent(name, detail = {}, cancelable = false) {
+    if (!this.initialised) return true;
+
+    const totalCount = this.getTotalCount();
+    const eventDetail = {
+      instance: this,
+      activeFilters: JSON.parse(JSON.stringify(this.activeFilters)),
+      sortState: { ...this.sortState },
+      visibleCount: this.filteredRows ? this.filteredRows.size : totalCount,
+      totalCount,
+      ...detail,
+    };
+
+    const event = new CustomEvent(`tablefilter:${name}`, {
+      bubbles: true,
+      cancelable,
+      detail: eventDetail,
+    });
+    let proceed = this.table.dispatchEvent(event);
+
+    // Option callbacks can cancel "before" events by returning false
+    const callback = this.options[EVENT_CALLBACKS[name]];
+    if (typeof callback === "function") {
+      const result = callback.call(this, eventDetail, event);
+      if (cancelable && result === false) {
+        proceed = false;
+      }
+    }
+
+    return proceed;
+  }
+
+  getTotalCount() {
+    return this.getRows().length;
+  }
+
+  getRows() {
+    // In virtual mode most rows are kept out of the DOM
+    if (this.virtual) return this.virtual.rows;
+
+    const tbody = this.table.querySelector("tbody");
+    return tbody ? Array.from(tbody.querySelectorAll("tr")) : [];
+  }
+
+  getMatchingRows() {
+    this.finishPendingFilter();
+    // Rows matching the filters on every page, in their current order
+    return this.getRows().filter(
+      (row) => !this.filteredRows || this.filteredRows.has(row),
+    );
+  }
+
+  initializeVirtualRows() {
+    const enabled =
+      this.options.virtualRows ??
+      this.configElement?.getAttribute("data-virtual-rows");
+    const tbody = this.table.querySelector("tbody");
+    if ((enabled !== true && enabled !== "true") || !tbody) return;
+
+    const columnCount = this.table.querySelectorAll("thead th").length;
+    const rowHeight = parseInt(
+      this.options.virtualRowHeight ??
+        this.configElement?.getAttribute("data-virtual-row-height") ??
+        48,
+      10,
+    );
+
+    // Rows stay in memory and only those near the viewport are attached
+    this.virtual = {
+      rows: Array.from(tbody.querySelectorAll("tr")),
+      displayRows: [],
+      rowHeight: rowHeight > 0 ? rowHeight : 48,
+      measured: false, // rowHeight is replaced once by the rendered average
+      buffer: 10,
+      start: 0,
+      end: 0,
+      topSpacer: createSpacerRow(columnCount),
+      bottomSpacer: createSpacerRow(columnCount),
+      frame: null,
+    };
+    this.virtual.rows.forEach((row, index) => {
+      if (!row.hasAttribute("data-original-index")) {
+        row.setAttribute("data-original-index", index.toString());
+      }
+    });
+    this.table.classList.add("table-filter-virtual");
+
+    const { signal } = this.listenerController;
+    const scheduleRender = () => this.scheduleVirtualRender();
+    window.addEventListener("scroll", scheduleRender, {
+      passive: true,
+      signal,
+    });
+    window.addEventListener("resize", scheduleRender, { signal });
+
+    this.setVirtualDisplayRows(this.virtual.rows);
+  }
+
+  scheduleVirtualRender() {
+    if (!this.virtual || this.virtual.frame) return;
+    this.virtual.frame = requestAnimationFrame(() => {
+      if (!this.virtual) return;
+      this.virtual.frame = null;
+      this.renderVirtualRows();
+    });
+  }
+
+  setVirtualDisplayRows(rows) {
+    this.virtual.displayRows = rows;
+    this.virtual.start = -1; // force the window to be rebuilt
+    this.table.setAttribute("aria-rowcount", String(rows.length + 1));
+    this.renderVirtualRows();
+  }
+
+  renderVirtualRows() {
+    const virtual = this.virtual;
+    const tbody = this.table.querySelector("tbody");
+    if (!virtual || !tbody) return;
+
+    const { displayRows, rowHeight, topSpacer, bottomSpacer } = virtual;
+    const { start, end } = getVisibleRange({
+      count: displayRows.length,
+      rowHeight,
+      buffer: virtual.buffer,
+      offsetTop: tbody.getBoundingClientRect().top,
+      viewportHeight: window.innerHeight,
+    });
+    if (start === virtual.start && end === virtual.end) return;
+    virtual.start = start;
+    virtual.end = end;
+
+    // Spacers stand in for the rows above and below the window
+    const windowRows = displayRows.slice(start, end);
+    windowRows.forEach((row, index) => {
+      row.setAttribute("aria-rowindex", String(start + index + 2));
+    });
+    setSpacerHeight(topSpacer, start * rowHeight);
+    setSpacerHeight(bottomSpacer, (displayRows.length - end) * rowHeight);
+    tbody.replaceChildren(topSpacer, ...windowRows, bottomSpacer);
+    this.updateHighlights();
+
+    // Swap the estimate for the average height of the first rows laid out.
+    // This happens once, as row heights vary and re-measuring on every
+    // render would move the spacers under the user's scroll position
+    if (virtual.measured || !windowRows.length) return;
+    const totalHeight = windowRows.reduce(
+      (total, row) => total + row.offsetHeight,
+      0,
+    );
+    if (!totalHeight) return;
+    virtual.measured = true;
+
+    const averageHeight = totalHeight / windowRows.length;
+    if (Math.abs(averageHeight - rowHeight) > 1) {
+      virtual.rowHeight = averageHeight;
+      setSpacerHeight(topSpacer, start * averageHeight);
+      setSpacerHeight(bottomSpacer, (displayRows.length - end) * averageHeight);
+      // Rebuild the window for the new height on the next frame
+      virtual.start = -1;
+      this.scheduleVirtualRender();
+    }
   }
 
   initializeTableHeaders() {
@@ -55,6 +618,9 @@ class TableFilter {
       const textContent = header.innerHTML;
       header.innerHTML = "";
 
+      // Keep the original markup so destroy() can restore it
+      this.originalHeaders.push({ header, html: textContent });
+
       const textDiv = document.createElement("div");
       textDiv.className = "header-text";
       textDiv.innerHTML = textContent;
@@ -74,80 +640,389 @@ class TableFilter {
       iconDiv.appendChild(sortIcon);
       header.appendChild(iconDiv);
 
-      // Add click handler
-      header.addEventListener("click", () => this.sortTable(index));
+      // Headers are focusable and sort with Enter or Space as well as a click
+      header.setAttribute("tabindex", "0");
+      header.setAttribute("aria-sort", "none");
+
+      const { signal } = this.listenerController;
+      header.addEventListener("click", () => this.sortTable(index), {
+        signal,
+      });
+      header.addEventListener(
+        "keydown",
+        (e) => {
+          if (e.key === "Enter" || e.key === " ") {
+            e.preventDefault();
+            this.sortTable(index);
+          }
+        },
+        { signal },
+      );
+    });
+  }
+
+  findColumnIndex(columnName) {
+    // Find the column index by matching header text
+    const name = normaliseCellText(columnName).toLowerCase();
+    const headers = Array.from(this.table.querySelectorAll("thead th"));
+    return headers.findIndex(
+      (th) => normaliseCellText(th.textContent).toLowerCase() === name,
+    );
+  }
+
+  getColumnName(columnIndex) {
+    const header = this.table.querySelectorAll("thead th")[columnIndex];
+    if (!header) return null;
+    return normaliseCellText(
+      (header.querySelector(".header-text") || header).textContent,
+    );
+  }
+
+  initializeSearchMode() {
+    const mode =
+      this.options.searchMode ||
+      this.configElement?.getAttribute("data-search-mode") ||
+      "exact";
+    this.searchMatcher = createSearchMatcher(mode.trim().toLowerCase());
+
+    // Highlighting is on unless turned off with highlightMatches: false or
+    // data-highlight-matches="false"
+    const highlight =
+      this.options.highlightMatches ??
+      this.configElement?.getAttribute("data-highlight-matches");
+    this.highlightEnabled = highlight !== false && highlight !== "false";
+  }
+
+  initializeColumnConfig() {
+    const filterDiv = this.configElement;
+    const sources = [];
+
+    // A JSON block can hold the same settings, e.g.
+    // <script type="application/json" data-table-filter-config="table-id">
+    const configScript = Array.from(
+      document.querySelectorAll(
+        'script[type="application/json"][data-table-filter-config]',
+      ),
+    ).find(
+      (script) =>
+        script.getAttribute("data-table-filter-config") === this.table.id,
+    );
+    if (configScript) {
+      try {
+        sources.push(JSON.parse(configScript.textContent));
+      } catch (err) {
+        console.warn("Invalid table filter config:", err);
+      }
+    }
+
+    if (this.options.columnConfig) {
+      sources.push(this.options.columnConfig);
+    }
+
+    this.columnConfig = buildColumnConfig({
+      labels: filterDiv?.getAttribute("data-column-labels"),
+      placeholders: filterDiv?.getAttribute("data-column-placeholders"),
+      aliases: filterDiv?.getAttribute("data-value-aliases"),
+      matchModes: filterDiv?.getAttribute("data-column-match"),
+      separator: filterDiv?.getAttribute("data-value-separator"),
+      params: filterDiv?.getAttribute("data-param-keys"),
+      paramAliases: filterDiv?.getAttribute("data-param-aliases"),
+      sources,
     });
   }
 
+  getColumnLabel(columnIndex, columnName) {
+    return (
+      getColumnSettings(this.columnConfig, this.getColumnName(columnIndex))
+        .label || columnName
+    );
+  }
+
+  getCellValues(columnIndex, cell) {
+    const columnName = this.getColumnName(columnIndex);
+    const separator =
+      getColumnSettings(this.columnConfig, columnName).separator ||
+      this.columnConfig.separator;
+
+    // Multi-valued cells are split into separate values, and aliases merge
+    // spelling variants into a single value
+    const parts = separator
+      ? cell.textContent.split(separator)
+      : [cell.textContent];
+    return parts
+      .map((part) =>
+        resolveValueAlias(this.columnConfig, columnName, part.trim()),
+      )
+      .filter((value) => value);
+  }
+
+  getColumnMatchMode(columnIndex) {
+    return (
+      this.columnMatchModes[columnIndex] ||
+      getColumnSettings(this.columnConfig, this.getColumnName(columnIndex))
+        .match ||
+      "any"
+    );
+  }
+
+  setColumnMatchMode(column, mode) {
+    const columnIndex =
+      typeof column === "number" ? column : this.findColumnIndex(column);
+    if (columnIndex === -1) {
+      console.warn(`Column not found: ${column}`);
+      return;
+    }
+    if (!MATCH_MODES.includes(mode)) {
+      console.warn(`Unknown match mode: ${mode}`);
+      return;
+    }
+
+    this.columnMatchModes[columnIndex] = mode;
+    this.filterTable();
+  }
+
+  initializeDefaultSort() {
+    const thead = this.table.querySelector("thead");
+    if (!thead) return;
+
+    // Get data attributes
+    const filterDiv = this.configElement;
+    const defaultColumn =
+      this.options.defaultColumn ||
+      filterDiv?.getAttribute("data-default-column") ||
+      "";
+    const order =
+      this.options.defaultOrder || filterDiv?.getAttribute("data-order") || "";
+
+    if (!defaultColumn.trim()) return;
+
+    const columnIndex = this.findColumnIndex(defaultColumn);
+
+    if (columnIndex === -1) {
+      console.warn(`Default sort column not found: ${defaultColumn}`);
+      return;
+    }
+
+    // Accept "Ascending"/"Descending" as documented, as well as "asc"/"desc"
+    const direction = /^desc/i.test(order.trim()) ? "desc" : "asc";
+
+    this.defaultSort = { columnIndex, direction };
+    this.applySort(columnIndex, direction);
+  }
+
+  initializePagination() {
+    const tbody = this.table.querySelector("tbody");
+    if (!tbody) return;
+
+    // Get data attributes
+    const filterDiv = this.configElement;
+    const itemsPerPage = parseInt(
+      this.options.itemsPerPage ||
+        filterDiv?.getAttribute("data-pagination-items-per-page"),
+      10,
+    );
+
+    // Pagination is only enabled when items per page is configured
+    if (!itemsPerPage || itemsPerPage < 1) return;
+
+    const mode =
+      this.options.paginationMode ||
+      filterDiv?.getAttribute("data-pagination-mode") ||
+      "pages";
+    const pageSizesAttr =
+      filterDiv?.getAttribute("data-pagination-page-sizes") || "";
+
+    // Parse page size options, falling back to sensible defaults
+    let pageSizes =
+      this.options.pageSizes ||
+      pageSizesAttr
+        .split(";")
+        .map((size) => parseInt(size.trim(), 10))
+        .filter((size) => size > 0);
+    if (!pageSizes.length) {
+      pageSizes = [10, 25, 50, 100];
+    }
+    if (!pageSizes.includes(itemsPerPage)) {
+      pageSizes = [...pageSizes, itemsPerPage];
+    }
+    pageSizes.sort((a, b) => a - b);
+
+    this.pagination.itemsPerPage = itemsPerPage;
+    this.pagination.mode = mode === "load-more" ? "load-more" : "pages";
+    this.pagination.pageSizes = pageSizes;
+
+    // Create the pagination container
+    const nav = document.createElement("nav");
+    nav.className = "table-filter-pagination d-print-none";
+    nav.setAttribute("aria-label", "Table pagination");
+
+    nav.innerHTML = `
+      <ul class="pagination-pages"></ul>
+      <button type="button" class="filter-link-button pagination-load-more" hidden>Load more</button>
+      <div class="pagination-page-size">
+          <label for="${this.getElementId("paginationPageSize")}">Items per page</label>
+          <select id="${this.getElementId("paginationPageSize")}" class="form-select rounded-0">
+              ${pageSizes.map((size) => `<option value="${size}"${size === itemsPerPage ? ' selected=""' : ""}>${size}</option>`).join("")}
+          </select>
+      </div>
+    `;
+
+    // Insert after table
+    this.table.parentNode.insertBefore(nav, this.table.nextSibling);
+
+    this.paginationContainer = nav;
+  }
+
   createFilterMarkup() {
     // Check if filter already exists
-    const existing = document.getElementById("ntgc-page-filters");
+    const existing = this.getElement("ntgc-page-filters");
     if (existing) {
       this.filterContainer = existing;
-      this.searchInput = document.getElementById("searchInput");
+      this.searchInput = this.getElement("searchInput");
       return;
     }
 
     // Create the main filter container
     const container = document.createElement("div");
-    container.id = "ntgc-page-filters";
+    container.id = this.getElementId("ntgc-page-filters");
     container.className = "row mt-5 d-print-none";
 
     // Get data attributes
-    const filterDiv = document.querySelector("[data-table-filter]");
+    const filterDiv = this.configElement;
     const searchPlaceholder =
       filterDiv?.getAttribute("data-search-placeholder") || "Search";
     const columnFiltersAttr =
       filterDiv?.getAttribute("data-column-filters") || "";
+    this.filterStyle =
+      this.options.filterStyle ||
+      filterDiv?.getAttribute("data-filter-style") ||
+      "select";
+
+    // Cascading dropdowns only offer values reachable under the other filters
+    const cascading = String(
+      this.options.cascadingFilters ??
+        filterDiv?.getAttribute("data-cascading-filters") ??
+        "",
+    ).toLowerCase();
+    this.cascadingFilters =
+      cascading === "disable"
+        ? "disable"
+        : /^(true|hide)$/.test(cascading)
+          ? "hide"
+          : null;
+    this.showOptionCounts =
+      String(
+        this.options.optionCounts ??
+          filterDiv?.getAttribute("data-option-counts"),
+      ) === "true";
+    const dateFiltersAttr = filterDiv?.getAttribute("data-date-filters") || "";
+    const numberFiltersAttr =
+      filterDiv?.getAttribute("data-number-filters") || "";
+    this.showRangeSliders =
+      filterDiv?.getAttribute("data-number-sliders") === "true";
+    const exportEnabled =
+      String(
+        this.options.exportButtons ?? filterDiv?.getAttribute("data-export"),
+      ) !== "false";
+    this.savedViewsEnabled =
+      String(
+        this.options.savedViews ?? filterDiv?.getAttribute("data-saved-views"),
+      ) === "true";
 
     // Parse column filters
     const columnFiltersArray = columnFiltersAttr
       .split(";")
       .map((f) => f.trim())
       .filter((f) => f);
+    const dateFiltersArray = dateFiltersAttr
+      .split(";")
+      .map((f) => f.trim())
+      .filter((f) => f);
+    const numberFiltersArray = numberFiltersAttr
+      .split(";")
+      .map((f) => f.trim())
+      .filter((f) => f);
 
     // Build the markup
     container.innerHTML = `
     <!-- Free text search filter -->
-    <div class="filter-option mb-1 col-lg-4" id="text-question">
-        <label for="searchInput">Search</label>
+    <div class="filter-option mb-1 col-lg-4" id="${this.getElementId("text-question")}">
+        <label for="${this.getElementId("searchInput")}">Search</label>
         <div class="input-group">
-            <input type="text" name="project_title" id="searchInput" class="form-control rounded-0" placeholder="${searchPlaceholder}" autocomplete="off">
-            <span class="clear-input" id="clearInput" hidden=""></span>
+            <input type="text" name="project_title" id="${this.getElementId("searchInput")}" class="form-control rounded-0" placeholder="${escapeHTML(searchPlaceholder)}" autocomplete="off">
+            <span class="clear-input" id="${this.getElementId("clearInput")}" hidden=""></span>
         </div>
     </div>
 
     <!-- Filter dropdowns will be generated dynamically -->
-    <div id="filterControls" class="d-flex flex-nowrap col-lg-8" style="gap: 16px;"></div>
+    <div id="${this.getElementId("filterControls")}" class="d-flex flex-nowrap col-lg-8 filter-controls"></div>
 
-    <div class="mt-3 hidden" id="applied-filters">
-        <div class="filter-option" id="active-filters">
+    <!-- Quick filter buttons from data-presets -->
+    <div class="col-12 mt-3 filter-presets" id="${this.getElementId("presets")}" role="group" aria-label="Quick filters" hidden></div>
+
+    <div class="mt-3 hidden" id="${this.getElementId("applied-filters")}">
+        <div class="filter-option" id="${this.getElementId("active-filters")}">
             <strong>Applied filters:</strong>
-            <div class="d-inline-block pt-2" id="filterPillsContainer">
-                <span id="filterPills"></span>
-                <button type="button" id="copyFilterLink" class="filter-link-button" style="display: none;" title="Copy filter link">
-                    <i class="fas fa-link"></i> Copy filter link
-                </button>
-                <a href="#" id="clearAllFilters">Clear all</a>
+            <div class="d-inline-block pt-2" id="${this.getElementId("filterPillsContainer")}">
+                <span id="${this.getElementId("filterPills")}"></span>
+                <a href="#" id="${this.getElementId("clearAllFilters")}">Clear all</a>
             </div>
         </div>
     </div>
+
+    <!-- Copy link and downloads, shown whenever they apply -->
+    <div class="mt-3 filter-actions" id="${this.getElementId("filterActions")}">
+        <button type="button" id="${this.getElementId("copyFilterLink")}" class="filter-link-button" title="Copy filter link" hidden>
+            <i class="fas fa-link"></i> Copy filter link
+        </button>
+        ${
+          this.savedViewsEnabled
+            ? `<div class="filter-saved-views" id="${this.getElementId("savedViews")}">
+            <details>
+                <summary class="filter-link-button"><i class="fas fa-bookmark"></i> Saved views</summary>
+                <div class="saved-views-panel">
+                    <form class="saved-views-form" id="${this.getElementId("savedViewForm")}">
+                        <label for="${this.getElementId("savedViewName")}">View name</label>
+                        <input type="text" id="${this.getElementId("savedViewName")}" class="form-control rounded-0" autocomplete="off" required>
+                        <button type="submit" class="filter-link-button">Save current view</button>
+                    </form>
+                    <ul class="saved-views-list" id="${this.getElementId("savedViewList")}"></ul>
+                </div>
+            </details>
+        </div>`
+            : ""
+        }
+        ${
+          exportEnabled
+            ? `<button type="button" id="${this.getElementId("downloadCSV")}" class="filter-link-button" data-export-format="csv">
+            <i class="fas fa-download"></i> Download CSV
+        </button>
+        <button type="button" id="${this.getElementId("downloadJSON")}" class="filter-link-button" data-export-format="json">
+            <i class="fas fa-download"></i> Download JSON
+        </button>`
+            : ""
+        }
+    </div>
     `;
 
     // Insert before table
     this.table.parentNode.insertBefore(container, this.table);
 
     this.filterContainer = container;
-    this.searchInput = document.getElementById("searchInput");
+    this.filterMarkupGenerated = true;
+    this.searchInput = this.getElement("searchInput");
 
-    // Generate column filter dropdowns
+    // Generate column filter dropdowns and range inputs
     this.generateColumnFilters(columnFiltersArray);
+    this.generateDateFilters(dateFiltersArray);
+    this.generateNumberFilters(numberFiltersArray);
+    this.renderSavedViews();
   }
 
   generateColumnFilters(columnNames) {
     if (!columnNames.length) return;
 
-    const filterControls = document.getElementById("filterControls");
+    const filterControls = this.getElement("filterControls");
     const thead = this.table.querySelector("thead");
     if (!thead) return;
 
@@ -165,26 +1040,68 @@ class TableFilter {
       // Extract unique values from this column
       const values = this.getUniqueColumnValues(columnIndex);
 
-      // Create the select dropdown
       const filterDiv = document.createElement("div");
-      filterDiv.className = "filter-option flex-fill";
-      filterDiv.style.cssText = "flex: 1 1 0; min-width: 0;";
+      filterDiv.className = "filter-option flex-fill column-filter";
+
+      const settings = getColumnSettings(
+        this.columnConfig,
+        this.getColumnName(columnIndex),
+      );
+      const label = settings.label || columnName;
 
-      const selectId = `selectInput${index + 1}`;
-      const label =
-        columnName === "Year of finding" ? "Year of issue" : columnName;
-      const placeholder = `Select ${label.toLowerCase()}`;
+      // Checkbox facets replace the dropdown when data-filter-style="checkboxes"
+      if (this.filterStyle === "checkboxes") {
+        const listId = this.getElementId(`facetOptions${index + 1}`);
+        const searchId = this.getElementId(`facetSearch${index + 1}`);
+        const placeholder =
+          settings.placeholder || `Search ${label.toLowerCase()}`;
+
+        filterDiv.classList.add("facet-filter");
+        filterDiv.innerHTML = `
+          <details class="facet" open>
+            <summary class="ntgc-form-input--label">${escapeHTML(label)}</summary>
+            <input type="search" id="${searchId}" class="form-control rounded-0 facet-search" placeholder="${escapeHTML(placeholder)}" aria-label="${escapeHTML(placeholder)}" autocomplete="off">
+            <ul class="facet-options" id="${listId}" aria-label="${escapeHTML(label)}"></ul>
+          </details>
+        `;
+
+        filterControls.appendChild(filterDiv);
+
+        const filter = {
+          columnIndex,
+          selectId: null,
+          listId,
+          searchId,
+          columnName,
+          label,
+          style: "checkboxes",
+          values,
+        };
+        this.columnFilters.push(filter);
+        this.renderFacetOptions(filter);
+        return;
+      }
+
+      // Create the select dropdown
+      const selectId = this.getElementId(`selectInput${index + 1}`);
+      const placeholder =
+        settings.placeholder || `Select ${label.toLowerCase()}`;
 
       filterDiv.innerHTML = `
-        <label for="${selectId}" class="ntgc-form-input--label">${label}</label>
+        <label for="${selectId}" class="ntgc-form-input--label">${escapeHTML(label)}</label>
         <div>
             <select name="select-input-${index + 1}" id="${selectId}" class="form-select rounded-0">
-                <option value="all" selected="">${placeholder}</option>
-                ${values.map((val) => `<option value="${val.toLowerCase()}">${val}</option>`).join("")}
+                <option value="all" selected="">${escapeHTML(placeholder)}</option>
             </select>
         </div>
       `;
 
+      // Values come from the table, so add them as text rather than markup
+      const select = filterDiv.querySelector("select");
+      values.forEach((val) => {
+        select.add(new Option(val, val.toLowerCase()));
+      });
+
       filterControls.appendChild(filterDiv);
 
       // Store column filter info
@@ -192,108 +1109,671 @@ class TableFilter {
         columnIndex,
         selectId,
         columnName,
+        label,
+        style: "select",
+        values,
       });
     });
   }
 
-  getUniqueColumnValues(columnIndex) {
-    const tbody = this.table.querySelector("tbody");
-    const rows = tbody ? Array.from(tbody.querySelectorAll("tr")) : [];
-    const values = new Set();
+  renderFacetOptions(filter) {
+    const list = document.getElementById(filter.listId);
+    if (!list) return;
 
-    rows.forEach((row) => {
-      const cells = row.querySelectorAll("td");
-      if (cells[columnIndex]) {
-        const text = cells[columnIndex].textContent.trim();
-        if (text) {
-          values.add(text);
-        }
-      }
-    });
+    list.innerHTML = filter.values
+      .map(
+        (val) => `
+          <li class="facet-option">
+            <label>
+              <input type="checkbox" value="${escapeHTML(val.toLowerCase())}">
+              <span class="facet-value">${escapeHTML(val)}</span>
+              <span class="facet-count"></span>
+            </label>
+          </li>
+        `,
+      )
+      .join("");
+  }
 
-    // Sort values
-    return Array.from(values).sort((a, b) => {
-      // Try to sort numerically if both are numbers
-      const aNum = parseInt(a);
-      const bNum = parseInt(b);
-      if (!isNaN(aNum) && !isNaN(bNum)) {
-        return aNum - bNum;
+  generateDateFilters(columnNames) {
+    const filterControls = this.getElement("filterControls");
+
+    columnNames.forEach((columnName, index) => {
+      const columnIndex = this.findColumnIndex(columnName);
+      if (columnIndex === -1) {
+        console.warn(`Date filter column not found: ${columnName}`);
+        return;
       }
-      return a.localeCompare(b);
-    });
-  }
 
-  attachEventListeners() {
-    // Search input
-    if (this.searchInput) {
-      this.searchInput.addEventListener("input", (e) => {
-        this.activeFilters.search = e.target.value;
-        this.filterTable();
-        this.updateClearButton();
-        this.updateFilterPills();
-      });
-    }
+      const label = this.getColumnLabel(columnIndex, columnName);
+      const fromId = this.getElementId(`dateFrom${index + 1}`);
+      const toId = this.getElementId(`dateTo${index + 1}`);
+      const presetId = this.getElementId(`datePreset${index + 1}`);
 
-    // Clear input button
-    const clearInput = document.getElementById("clearInput");
-    if (clearInput) {
-      clearInput.addEventListener("click", () => {
-        this.searchInput.value = "";
-        this.activeFilters.search = "";
-        this.filterTable();
-        this.updateClearButton();
-        this.updateFilterPills();
-      });
-    }
+      const filterDiv = document.createElement("div");
+      filterDiv.className = "filter-option flex-fill range-filter";
+      filterDiv.innerHTML = `
+        <fieldset>
+          <legend class="ntgc-form-input--label">${escapeHTML(label)}</legend>
+          <div class="range-filter-inputs">
+            <div>
+              <label for="${fromId}" class="range-filter-label">From</label>
+              <input type="date" id="${fromId}" class="form-control rounded-0">
+            </div>
+            <div>
+              <label for="${toId}" class="range-filter-label">To</label>
+              <input type="date" id="${toId}" class="form-control rounded-0">
+            </div>
+          </div>
+          <select id="${presetId}" class="form-select rounded-0 range-filter-presets" aria-label="${escapeHTML(label)} presets">
+            <option value="">Any time</option>
+            ${DATE_PRESETS.map((preset) => `<option value="${preset.value}">${preset.label}</option>`).join("")}
+          </select>
+        </fieldset>
+      `;
 
-    // Column filter dropdowns
-    this.columnFilters.forEach((filter) => {
-      const select = document.getElementById(filter.selectId);
-      if (select) {
-        select.addEventListener("change", (e) => {
-          const value = e.target.value;
-          if (value !== "all") {
-            // Initialize array if it doesn't exist
-            if (!this.activeFilters.columns[filter.columnIndex]) {
-              this.activeFilters.columns[filter.columnIndex] = [];
-            }
-            // Add value to array if not already present
-            if (
-              !this.activeFilters.columns[filter.columnIndex].includes(value)
-            ) {
-              this.activeFilters.columns[filter.columnIndex].push(value);
-            }
-            // Reset dropdown to "all" after adding filter
-            e.target.value = "all";
-            // Update dropdown options to hide selected values
-            this.updateDropdownOptions(filter.columnIndex);
-          }
-          this.filterTable();
-          this.updateFilterPills();
-        });
-      }
-    });
+      filterControls.appendChild(filterDiv);
 
-    // Clear all filters
-    const clearAll = document.getElementById("clearAllFilters");
-    if (clearAll) {
-      clearAll.addEventListener("click", (e) => {
-        e.preventDefault();
-        this.clearAllFilters();
+      this.rangeFilters.push({
+        type: "date",
+        columnIndex,
+        columnName,
+        label,
+        fromId,
+        toId,
+        presetId,
       });
+    });
+  }
+
+  generateNumberFilters(columnNames) {
+    const filterControls = this.getElement("filterControls");
+
+    columnNames.forEach((columnName, index) => {
+      const columnIndex = this.findColumnIndex(columnName);
+      if (columnIndex === -1) {
+        console.warn(`Number filter column not found: ${columnName}`);
+        return;
+      }
+
+      const label = this.getColumnLabel(columnIndex, columnName);
+      const minId = this.getElementId(`numberMin${index + 1}`);
+      const maxId = this.getElementId(`numberMax${index + 1}`);
+      const minSliderId = this.getElementId(`numberMinSlider${index + 1}`);
+      const maxSliderId = this.getElementId(`numberMaxSlider${index + 1}`);
+
+      const filterDiv = document.createElement("div");
+      filterDiv.className = "filter-option flex-fill range-filter";
+      filterDiv.innerHTML = `
+        <fieldset>
+          <legend class="ntgc-form-input--label">${escapeHTML(label)}</legend>
+          <div class="range-filter-inputs">
+            <div>
+              <label for="${minId}" class="range-filter-label">Min</label>
+              <input type="text" inputmode="decimal" id="${minId}" class="form-control rounded-0" autocomplete="off">
+            </div>
+            <div>
+              <label for="${maxId}" class="range-filter-label">Max</label>
+              <input type="text" inputmode="decimal" id="${maxId}" class="form-control rounded-0" autocomplete="off">
+            </div>
+          </div>
+          ${
+            this.showRangeSliders
+              ? `<div class="range-filter-slider">
+                  <input type="range" id="${minSliderId}" aria-label="${escapeHTML(label)} minimum">
+                  <input type="range" id="${maxSliderId}" aria-label="${escapeHTML(label)} maximum">
+                </div>`
+              : ""
+          }
+        </fieldset>
+      `;
+
+      filterControls.appendChild(filterDiv);
+
+      const filter = {
+        type: "number",
+        columnIndex,
+        columnName,
+        label,
+        sortType: this.getColumnSortType(columnIndex),
+        bounds: null,
+        minId,
+        maxId,
+        minSliderId,
+        maxSliderId,
+      };
+      this.rangeFilters.push(filter);
+      this.updateNumberBounds(filter);
+    });
+  }
+
+  updateNumberBounds(filter) {
+    // Bounds come from the column's values and are shown as placeholders
+    const values = this.getRows().map((row) =>
+      parseNumericValue(
+        row.querySelectorAll("td")[filter.columnIndex]?.textContent,
+        filter.sortType,
+      ),
+    );
+    filter.bounds = getNumberBounds(values);
+
+    // Sliders need a range, so hide them while the column has no numbers
+    const sliders = document
+      .getElementById(filter.minSliderId)
+      ?.closest(".range-filter-slider");
+    if (sliders) sliders.hidden = !filter.bounds;
+    if (!filter.bounds) return;
+
+    const { min, max } = filter.bounds;
+    const minInput = document.getElementById(filter.minId);
+    const maxInput = document.getElementById(filter.maxId);
+    if (minInput) minInput.placeholder = formatNumber(min, filter.sortType);
+    if (maxInput) maxInput.placeholder = formatNumber(max, filter.sortType);
+
+    // Whole-number columns step by one, others in hundredths of the span
+    const step = values.every((value) => isNaN(value) || value % 1 === 0)
+      ? 1
+      : (max - min) / 100 || 1;
+    [filter.minSliderId, filter.maxSliderId].forEach((id) => {
+      const slider = document.getElementById(id);
+      if (!slider) return;
+      slider.min = min;
+      slider.max = max;
+      slider.step = step;
+    });
+  }
+
+  getUniqueColumnValues(columnIndex) {
+    const values = new Set();
+
+    this.getRows().forEach((row) => {
+      const cells = row.querySelectorAll("td");
+      if (cells[columnIndex]) {
+        this.getCellValues(columnIndex, cells[columnIndex]).forEach((text) => {
+          values.add(text);
+        });
+      }
+    });
+
+    // Sort values using the same comparator as the column sort
+    const sortType = this.getColumnSortType(columnIndex);
+    return Array.from(values).sort((a, b) => compareValues(a, b, sortType));
+  }
+
+  getColumnSortType(columnIndex) {
+    if (this.columnSortTypes[columnIndex]) {
+      return this.columnSortTypes[columnIndex];
+    }
+
+    // A data-sort-type attribute on the header overrides detection
+    const header = this.table.querySelectorAll("thead th")[columnIndex];
+    const declaredType = header
+      ?.getAttribute("data-sort-type")
+      ?.trim()
+      .toLowerCase();
+
+    let sortType;
+    if (SORT_TYPES.includes(declaredType)) {
+      sortType = declaredType;
+    } else {
+      if (declaredType) {
+        console.warn(`Unknown sort type: ${declaredType}`);
+      }
+      const values = this.getRows()
+        .map((row) => row.querySelectorAll("td")[columnIndex])
+        .filter((cell) => cell)
+        .map((cell) => cell.textContent);
+      sortType = detectSortType(values);
+    }
+
+    this.columnSortTypes[columnIndex] = sortType;
+    return sortType;
+  }
+
+  attachEventListeners() {
+    // Every listener is removed together by destroy()
+    const { signal } = this.listenerController;
+
+    // Search input, debounced so fast typing filters once it pauses
+    if (this.searchInput) {
+      const searchDelay = parseInt(
+        this.options.searchDelay ??
+          this.configElement?.getAttribute("data-search-delay") ??
+          150,
+        10,
+      );
+      const runSearch = debounce(() => {
+        this.filterTable({ chunked: true });
+        this.updateFilterPills();
+      }, searchDelay || 0);
+      signal.addEventListener("abort", runSearch.cancel);
+
+      this.searchInput.addEventListener(
+        "input",
+        (e) => {
+          this.activeFilters.search = e.target.value;
+          this.updateClearButton();
+          if (searchDelay > 0) {
+            runSearch();
+          } else {
+            this.filterTable({ chunked: true });
+            this.updateFilterPills();
+          }
+        },
+        { signal },
+      );
+    }
+
+    // Optional shortcuts: "/" focuses the search box and Escape clears it
+    const shortcuts =
+      this.options.keyboardShortcuts ??
+      this.configElement?.getAttribute("data-keyboard-shortcuts");
+    if (this.searchInput && (shortcuts === true || shortcuts === "true")) {
+      document.addEventListener(
+        "keydown",
+        (e) => {
+          if (e.key !== "/" || e.defaultPrevented) return;
+          if (e.ctrlKey || e.metaKey || e.altKey) return;
+
+          // Leave "/" alone while the user is typing somewhere
+          const target = e.target;
+          if (
+            target.isContentEditable ||
+            ["INPUT", "TEXTAREA", "SELECT"].includes(target.tagName)
+          ) {
+            return;
+          }
+          e.preventDefault();
+          this.searchInput.focus();
+        },
+        { signal },
+      );
+      this.searchInput.addEventListener(
+        "keydown",
+        (e) => {
+          if (e.key === "Escape" && this.searchInput.value) {
+            e.preventDefault();
+            this.clearSearchFilter();
+          }
+        },
+        { signal },
+      );
+    }
+
+    // Clear input button
+    const clearInput = this.getElement("clearInput");
+    if (clearInput) {
+      clearInput.addEventListener(
+        "click",
+        () => {
+          this.searchInput.value = "";
+          this.activeFilters.search = "";
+          this.filterTable();
+          this.updateClearButton();
+          this.updateFilterPills();
+        },
+        { signal },
+      );
+    }
+
+    // Column filter dropdowns and checkbox facets
+    this.columnFilters.forEach((filter) => {
+      if (filter.style === "checkboxes") {
+        this.attachFacetListeners(filter, signal);
+        return;
+      }
+
+      const select = document.getElementById(filter.selectId);
+      if (select) {
+        select.addEventListener(
+          "change",
+          (e) => {
+            const value = e.target.value;
+            if (value !== "all") {
+              // Columns in "none" mode exclude the chosen value
+              this.addColumnFilterValue(
+                filter,
+                value,
+                this.getColumnMatchMode(filter.columnIndex) === "none",
+              );
+              // Reset dropdown to "all" after adding filter
+              e.target.value = "all";
+              // Update dropdown options to hide selected values
+              this.updateDropdownOptions(filter.columnIndex);
+            }
+            this.filterTable();
+            this.updateFilterPills();
+          },
+          { signal },
+        );
+      }
+    });
+
+    // Date range inputs and presets
+    this.getRangeFilters("date").forEach((filter) => {
+      const fromInput = document.getElementById(filter.fromId);
+      const toInput = document.getElementById(filter.toId);
+      const presetSelect = document.getElementById(filter.presetId);
+
+      [fromInput, toInput].forEach((input) => {
+        input?.addEventListener(
+          "change",
+          () => {
+            this.setRangeFilter(filter.columnIndex, {
+              from: fromInput.value,
+              to: toInput.value,
+            });
+          },
+          { signal },
+        );
+      });
+
+      presetSelect?.addEventListener(
+        "change",
+        (e) => {
+          this.setRangeFilter(
+            filter.columnIndex,
+            getDatePresetRange(e.target.value),
+          );
+        },
+        { signal },
+      );
+    });
+
+    // Numeric range inputs and sliders
+    this.getRangeFilters("number").forEach((filter) => {
+      const minInput = document.getElementById(filter.minId);
+      const maxInput = document.getElementById(filter.maxId);
+      const minSlider = document.getElementById(filter.minSliderId);
+      const maxSlider = document.getElementById(filter.maxSliderId);
+
+      [minInput, maxInput].forEach((input) => {
+        input?.addEventListener(
+          "change",
+          () => {
+            this.setRangeFilter(filter.columnIndex, {
+              min: this.parseNumberInput(filter, minInput.value),
+              max: this.parseNumberInput(filter, maxInput.value),
+            });
+          },
+          { signal },
+        );
+      });
+
+      [minSlider, maxSlider].forEach((slider) => {
+        if (!slider) return;
+
+        // Keep the handles from crossing and preview the values while dragging
+        slider.addEventListener(
+          "input",
+          () => {
+            if (parseFloat(minSlider.value) > parseFloat(maxSlider.value)) {
+              slider.value =
+                slider === minSlider ? maxSlider.value : minSlider.value;
+            }
+            minInput.value = formatNumber(
+              parseFloat(minSlider.value),
+              filter.sortType,
+            );
+            maxInput.value = formatNumber(
+              parseFloat(maxSlider.value),
+              filter.sortType,
+            );
+          },
+          { signal },
+        );
+
+        // A handle left at the end of the column's range leaves that end open
+        slider.addEventListener(
+          "change",
+          () => {
+            if (!filter.bounds) return;
+            const min = parseFloat(minSlider.value);
+            const max = parseFloat(maxSlider.value);
+            this.setRangeFilter(filter.columnIndex, {
+              min: min > filter.bounds.min ? min : null,
+              max: max < filter.bounds.max ? max : null,
+            });
+          },
+          { signal },
+        );
+      });
+    });
+
+    // Filter pills (delegated, as pills are re-rendered on every change)
+    const pillsContainer = this.getElement("filterPills");
+    if (pillsContainer) {
+      pillsContainer.addEventListener(
+        "click",
+        (e) => {
+          const toggle = e.target.closest(".filter-pill-toggle");
+          if (toggle) {
+            const columnIndex = toggle.getAttribute("data-column-index");
+            const value = toggle.getAttribute("data-filter-value");
+            this.toggleColumnFilter(columnIndex, value);
+            // The pills are re-rendered and regrouped (included values come
+            // first), so find the new toggle for the same value to refocus
+            Array.from(pillsContainer.querySelectorAll(".filter-pill-toggle"))
+              .find(
+                (t) =>
+                  t.getAttribute("data-column-index") === columnIndex &&
+                  t.getAttribute("data-filter-value") === value,
+              )
+              ?.focus();
+            return;
+          }
+
+          const pill = e.target.closest(".filter-pill");
+          if (!pill) return;
+          const pillIndex = Array.from(
+            pillsContainer.querySelectorAll(".filter-pill"),
+          ).indexOf(pill);
+
+          if (pill.hasAttribute("data-search-token")) {
+            this.clearSearchTerm(
+              parseInt(pill.getAttribute("data-search-token"), 10),
+            );
+          } else if (pill.getAttribute("data-filter-type") === "search") {
+            this.clearSearchFilter();
+          } else if (pill.getAttribute("data-filter-type") === "range") {
+            this.setRangeFilter(pill.getAttribute("data-column-index"), null);
+          } else if (pill.hasAttribute("data-column-index")) {
+            this.clearColumnFilter(
+              pill.getAttribute("data-column-index"),
+              pill.getAttribute("data-filter-value"),
+            );
+          }
+
+          // Move focus to the pill that took its place, or back to search
+          const nextPill =
+            pillsContainer.querySelectorAll(".filter-pill")[pillIndex];
+          (nextPill || this.searchInput)?.focus();
+        },
+        { signal },
+      );
+    }
+
+    // Clear all filters
+    const clearAll = this.getElement("clearAllFilters");
+    if (clearAll) {
+      clearAll.addEventListener(
+        "click",
+        (e) => {
+          e.preventDefault();
+          this.clearAllFilters();
+        },
+        { signal },
+      );
     }
 
     // Copy filter link button
-    const copyButton = document.getElementById("copyFilterLink");
+    const copyButton = this.getElement("copyFilterLink");
     if (copyButton) {
-      copyButton.addEventListener("click", () => {
-        this.copyFilterURL();
-      });
+      copyButton.addEventListener(
+        "click",
+        () => {
+          this.copyFilterURL();
+        },
+        { signal },
+      );
+    }
+
+    // Saved views menu
+    const savedViewForm = this.getElement("savedViewForm");
+    if (savedViewForm) {
+      savedViewForm.addEventListener(
+        "submit",
+        (e) => {
+          e.preventDefault();
+          const nameInput = this.getElement("savedViewName");
+          if (this.saveView(nameInput.value)) {
+            nameInput.value = "";
+          }
+        },
+        { signal },
+      );
+
+      const savedViewList = this.getElement("savedViewList");
+      savedViewList.addEventListener(
+        "click",
+        (e) => {
+          const button = e.target.closest("[data-view-action]");
+          if (!button) return;
+
+          const name = button.closest("[data-view-name]").dataset.viewName;
+          const action = button.getAttribute("data-view-action");
+          if (action === "apply") {
+            this.applyView(name);
+          } else if (action === "rename" || action === "delete") {
+            // Ask for the new name, or for confirmation, in place
+            this.savedViewEdit = { name, action };
+            this.renderSavedViews();
+            savedViewList
+              .querySelector(
+                ".saved-view-edit input, .saved-view-confirm-delete",
+              )
+              ?.focus();
+          } else if (action === "cancel") {
+            const editAction = this.savedViewEdit?.action;
+            this.savedViewEdit = null;
+            this.renderSavedViews();
+            this.focusSavedView(name, editAction);
+          } else if (action === "confirm-delete") {
+            this.savedViewEdit = null;
+            this.deleteView(name);
+            this.getElement("savedViewName").focus();
+          }
+        },
+        { signal },
+      );
+
+      savedViewList.addEventListener(
+        "submit",
+        (e) => {
+          e.preventDefault();
+          const item = e.target.closest("[data-view-name]");
+          const name = item.dataset.viewName;
+          const input = e.target.querySelector("input");
+          const edit = this.savedViewEdit;
+          this.savedViewEdit = null;
+          if (this.renameView(name, input.value)) {
+            this.focusSavedView(input.value.trim(), "rename");
+            return;
+          }
+
+          // Keep the form open when the name is already taken
+          this.savedViewEdit = edit;
+          input.setAttribute("aria-invalid", "true");
+          item.querySelector(".saved-view-error").textContent =
+            `A saved view is already called "${input.value.trim()}".`;
+        },
+        { signal },
+      );
+    }
+
+    // Download buttons
+    ["downloadCSV", "downloadJSON"].forEach((name) => {
+      const button = this.getElement(name);
+      button?.addEventListener(
+        "click",
+        () => {
+          this.downloadRows(button.getAttribute("data-export-format"));
+        },
+        { signal },
+      );
+    });
+
+    // Pagination controls
+    if (this.paginationContainer) {
+      this.paginationContainer.addEventListener(
+        "click",
+        (e) => {
+          const pageButton = e.target.closest("[data-page]");
+          if (pageButton) {
+            this.goToPage(parseInt(pageButton.getAttribute("data-page"), 10));
+          } else if (e.target.closest(".pagination-load-more")) {
+            this.loadMore();
+          }
+        },
+        { signal },
+      );
+
+      const pageSizeSelect = this.getElement("paginationPageSize");
+      if (pageSizeSelect) {
+        pageSizeSelect.addEventListener(
+          "change",
+          (e) => {
+            this.setItemsPerPage(parseInt(e.target.value, 10));
+          },
+          { signal },
+        );
+      }
     }
   }
 
+  attachFacetListeners(filter, signal) {
+    const list = document.getElementById(filter.listId);
+    list?.addEventListener(
+      "change",
+      (e) => {
+        const checkbox = e.target.closest('input[type="checkbox"]');
+        if (!checkbox) return;
+
+        if (checkbox.checked) {
+          // Columns in "none" mode exclude the ticked value
+          this.addColumnFilterValue(
+            filter,
+            checkbox.value,
+            this.getColumnMatchMode(filter.columnIndex) === "none",
+          );
+          this.filterTable();
+          this.updateFilterPills();
+        } else {
+          this.clearColumnFilter(filter.columnIndex, checkbox.value);
+        }
+      },
+      { signal },
+    );
+
+    // Narrow long value lists without changing the filters
+    const search = document.getElementById(filter.searchId);
+    search?.addEventListener(
+      "input",
+      (e) => {
+        const query = e.target.value.trim().toLowerCase();
+        list?.querySelectorAll(".facet-option").forEach((option) => {
+          option.hidden = !option
+            .querySelector(".facet-value")
+            .textContent.toLowerCase()
+            .includes(query);
+        });
+      },
+      { signal },
+    );
+  }
+
   updateClearButton() {
-    const clearInput = document.getElementById("clearInput");
+    const clearInput = this.getElement("clearInput");
     if (clearInput) {
       if (this.searchInput.value) {
         clearInput.removeAttribute("hidden");
@@ -303,449 +1783,2444 @@ class TableFilter {
     }
   }
 
-  filterTable() {
-    const searchTerm = this.activeFilters.search.toLowerCase().trim();
+  filterTable({ chunked = false } = {}) {
+    // Listeners can cancel the built-in filtering, e.g. to filter elsewhere
+    if (!this.triggerEvent("beforefilter", {}, true)) return;
+
+    const run = ++this.filterRun;
+    const searchGroups = groupSearchTerms(this.getSearchTokens());
+    const ranges = Object.entries(this.activeFilters.ranges);
     const tbody = this.table.querySelector("tbody");
-    const rows = tbody
-      ? tbody.querySelectorAll("tr")
-      : this.table.querySelectorAll("tr");
-    let visibleCount = 0;
 
-    rows.forEach((row, index) => {
+    // Skip the header row if there is no tbody
+    const rows =
+      tbody || this.virtual
+        ? this.getRows()
+        : Array.from(this.table.querySelectorAll("tr")).slice(1);
+    const filteredRows = new Set();
+    const filteredColumns = new Set([
+      ...Object.keys(this.activeFilters.columns),
+      ...Object.keys(this.activeFilters.excluded),
+    ]);
+
+    // Facets and cascading dropdowns count the rows each value would
+    // return, ignoring the column's own filter
+    const valueCounts = new Map(
+      this.columnFilters
+        .filter((f) => this.needsValueCounts(f))
+        .map((f) => [f.columnIndex, new Map()]),
+    );
+
+    // Return to the first page whenever the filters change
+    const filterSignature = JSON.stringify(this.activeFilters);
+    if (filterSignature !== this.pagination.filterSignature) {
+      this.pagination.filterSignature = filterSignature;
+      this.pagination.currentPage = 1;
+    }
+
+    const matchesRow = (row, index) => {
       // Store original index if not already set
       if (!row.hasAttribute("data-original-index")) {
         row.setAttribute("data-original-index", index.toString());
       }
-
-      // Skip header row if no tbody
-      if (!tbody && index === 0) {
-        return;
+      const entry = this.rowIndex.get(row);
+      if (!this.matchesSearchAndRanges(entry, searchGroups, ranges)) {
+        return false;
       }
 
-      let isVisible = true;
-
-      // Check search term
-      if (searchTerm) {
-        const text = row.textContent.toLowerCase();
-        if (!text.includes(searchTerm)) {
-          isVisible = false;
+      // Check column filters, noting which fail so a row that only fails
+      // one column still counts towards that column's facet
+      const failedColumns = [];
+      for (const columnIndex of filteredColumns) {
+        if (
+          entry.cells[columnIndex] &&
+          !this.matchesColumnFilter(
+            columnIndex,
+            this.getIndexedCellValues(entry, columnIndex),
+          )
+        ) {
+          failedColumns.push(Number(columnIndex));
+          if (!valueCounts.size || failedColumns.length > 1) break;
         }
       }
 
-      // Check column filters
-      if (isVisible) {
-        for (const [columnIndex, filterValues] of Object.entries(
-          this.activeFilters.columns,
-        )) {
-          const cells = row.querySelectorAll("td");
-          const cell = cells[columnIndex];
-          if (cell && filterValues.length > 0) {
-            const cellText = cell.textContent.trim().toLowerCase();
-            // OR logic: row must match at least ONE of the filter values for this column
-            if (!filterValues.includes(cellText)) {
-              isVisible = false;
-              break;
-            }
-          }
-        }
+      if (failedColumns.length <= 1) {
+        this.countColumnValues(valueCounts, entry, failedColumns[0]);
       }
+      return failedColumns.length === 0;
+    };
 
-      if (isVisible) {
-        row.style.display = "";
-        visibleCount++;
-      } else {
-        row.style.display = "none";
+    const processRow = (row, index) => {
+      if (matchesRow(row, index)) {
+        filteredRows.add(row);
       }
-    });
+    };
 
-    this.updateNoResultsMessage(visibleCount === 0);
-  }
+    const finish = () => {
+      this.filterPending = false;
 
-  updateFilterPills() {
-    const pillsContainer = document.getElementById("filterPills");
-    const appliedFiltersSection = document.getElementById("applied-filters");
+      // Show and hide rows in one pass once every row has been checked;
+      // with pagination or virtual rows, applyPagination() shows them
+      const paginated = Boolean(this.pagination.itemsPerPage);
+      (this.virtual ? [] : rows).forEach((row) => {
+        const matches = filteredRows.has(row);
+        if (!matches || !paginated) {
+          this.setRowVisible(row, matches);
+        }
+      });
 
-    if (!pillsContainer || !appliedFiltersSection) return;
+      this.filteredRows = filteredRows;
+      this.columnValueCounts = valueCounts;
+      this.updateFacets();
+      if (this.cascadingFilters || this.showOptionCounts) {
+        this.columnFilters.forEach((filter) => {
+          this.updateDropdownOptions(filter.columnIndex);
+        });
+      }
 
-    const pills = [];
+      this.applyPagination();
 
-    // Add search pill
-    if (this.activeFilters.search) {
-      pills.push(`
-        <button type="button" class="filter-pill" tabindex="0" onclick="window.tableFilterInstance?.clearSearchFilter()" aria-label="Remove filter: ${this.activeFilters.search}">
-          <span class="filter-pill-label">${this.activeFilters.search}</span>
-          <span class="filter-pill-close" aria-hidden="true">×</span>
-        </button>
-      `);
-    }
+      this.updateNoResultsMessage(filteredRows.size === 0);
+      this.updateResultsSummary();
+      this.updateFilterActions();
 
-    // Add column filter pills
-    for (const [columnIndex, filterValues] of Object.entries(
-      this.activeFilters.columns,
-    )) {
-      const filter = this.columnFilters.find(
-        (f) => f.columnIndex == columnIndex,
+      this.handleStateChange();
+      this.triggerEvent("filter");
+    };
+
+    // When chunkSize is set, typing in very large tables is checked in chunks
+    // while the browser is idle, so it is not blocked; a newer filterTable()
+    // call abandons this run. Every other caller gets its results at once
+    const chunkSize = chunked ? this.getChunkSize() : 0;
+    if (chunkSize && rows.length > chunkSize) {
+      this.filterPending = true;
+      processInChunks(
+        rows,
+        chunkSize,
+        processRow,
+        () => run === this.filterRun,
+        finish,
       );
-      if (filter && Array.isArray(filterValues)) {
-        // Create a pill for each filter value (grouped by column)
-        filterValues.forEach((filterValue) => {
-          pills.push(`
-            <button type="button" class="filter-pill" tabindex="0" onclick="window.tableFilterInstance?.clearColumnFilter(${columnIndex}, '${filterValue}')" aria-label="Remove filter: ${filterValue}">
-              <span class="filter-pill-label">${filterValue}</span>
-              <span class="filter-pill-close" aria-hidden="true">×</span>
-            </button>
-          `);
-        });
-      }
+    } else {
+      rows.forEach(processRow);
+      finish();
     }
+  }
 
-    if (pills.length > 0) {
-      pillsContainer.innerHTML = pills.join("");
-      appliedFiltersSection.classList.remove("hidden");
+  getChunkSize() {
+    const chunkSize = parseInt(
+      this.options.chunkSize ??
+        this.configElement?.getAttribute("data-chunk-size") ??
+        0,
+      10,
+    );
+    return chunkSize > 0 ? chunkSize : 0;
+  }
 
-      // Show copy button when there are active filters
-      const copyButton = document.getElementById("copyFilterLink");
-      if (copyButton) {
-        copyButton.style.display = "inline-flex";
-      }
-    } else {
-      pillsContainer.innerHTML = "";
-      appliedFiltersSection.classList.add("hidden");
+  // Results read through the API must match the filters, so a chunked run
+  // still in progress is redone in one pass first
+  finishPendingFilter() {
+    if (this.filterPending) this.filterTable();
+  }
 
-      // Hide copy button when there are no active filters
-      const copyButton = document.getElementById("copyFilterLink");
-      if (copyButton) {
-        copyButton.style.display = "none";
-      }
+  setRowVisible(row, visible) {
+    // Only write to rows whose visibility actually changes
+    const display = visible ? "" : "none";
+    if (row.style.display !== display) {
+      row.style.display = display;
     }
   }
 
-  clearSearchFilter() {
-    this.searchInput.value = "";
-    this.activeFilters.search = "";
-    this.filterTable();
-    this.updateClearButton();
-    this.updateFilterPills();
+  getPreparedText(entry, columnIndex) {
+    return getCachedValue(entry.prepared, columnIndex ?? "row", () => {
+      if (columnIndex === null) {
+        entry.text ??= entry.row.textContent;
+        return this.searchMatcher.prepare(entry.text);
+      }
+      return this.searchMatcher.prepare(entry.cells[columnIndex]?.textContent);
+    });
   }
 
-  clearColumnFilter(columnIndex, filterValue = null) {
-    if (filterValue === null) {
-      // Clear all filters for this column
-      delete this.activeFilters.columns[columnIndex];
-    } else {
-      // Remove specific filter value from the array
-      const filters = this.activeFilters.columns[columnIndex];
-      if (filters) {
-        const index = filters.indexOf(filterValue);
-        if (index > -1) {
-          filters.splice(index, 1);
-        }
-        // If array is empty, delete the column entry
-        if (filters.length === 0) {
-          delete this.activeFilters.columns[columnIndex];
-        }
-      }
-    }
+  getIndexedCellValues(entry, columnIndex) {
+    // Unique lower-cased values, split and alias-resolved once per cell
+    return getCachedValue(entry.values, Number(columnIndex), () => {
+      const cell = entry.cells[columnIndex];
+      if (!cell) return [];
+      return [
+        ...new Set(
+          this.getCellValues(columnIndex, cell).map((value) =>
+            value.toLowerCase(),
+          ),
+        ),
+      ];
+    });
+  }
 
-    // Update dropdown options to show removed values
-    this.updateDropdownOptions(columnIndex);
+  needsValueCounts(filter) {
+    return (
+      filter.style === "checkboxes" ||
+      Boolean(this.cascadingFilters) ||
+      this.showOptionCounts
+    );
+  }
 
-    this.filterTable();
-    this.updateFilterPills();
+  countColumnValues(valueCounts, entry, failedColumn) {
+    valueCounts.forEach((counts, columnIndex) => {
+      if (failedColumn !== undefined && failedColumn !== columnIndex) return;
+
+      this.getIndexedCellValues(entry, columnIndex).forEach((value) => {
+        counts.set(value, (counts.get(value) || 0) + 1);
+      });
+    });
   }
 
-  updateDropdownOptions(columnIndex) {
-    const filter = this.columnFilters.find((f) => f.columnIndex == columnIndex);
-    if (!filter) return;
+  updateFacets() {
+    this.columnFilters.forEach((filter) => {
+      if (filter.style !== "checkboxes") return;
 
-    const select = document.getElementById(filter.selectId);
-    if (!select) return;
+      const list = document.getElementById(filter.listId);
+      if (!list) return;
 
-    const selectedValues = this.activeFilters.columns[columnIndex] || [];
+      const counts = this.columnValueCounts?.get(filter.columnIndex);
+      const included = this.activeFilters.columns[filter.columnIndex] || [];
+      const excluded = this.activeFilters.excluded[filter.columnIndex] || [];
 
-    // Show/hide options based on whether they're selected
-    Array.from(select.options).forEach((option) => {
-      if (option.value !== "all") {
-        if (selectedValues.includes(option.value)) {
-          option.style.display = "none";
+      // A tick means the value is applied the way the column matches, so
+      // "none" columns tick their excluded values. Elsewhere a value excluded
+      // with an "is not" pill stays unticked and is marked as excluded
+      const noneMode = this.getColumnMatchMode(filter.columnIndex) === "none";
+      const tickedValues = noneMode ? excluded : included;
+
+      // Keep ticks and counts in line with the current filters
+      list.querySelectorAll(".facet-option").forEach((option) => {
+        const checkbox = option.querySelector('input[type="checkbox"]');
+        const count = counts?.get(checkbox.value) || 0;
+        checkbox.checked = tickedValues.includes(checkbox.value);
+        const isExcluded = !noneMode && excluded.includes(checkbox.value);
+        option.classList.toggle("facet-option-excluded", isExcluded);
+        if (isExcluded) {
+          const value = option.querySelector(".facet-value").textContent;
+          checkbox.setAttribute("aria-label", `${value} (excluded)`);
         } else {
-          option.style.display = "";
+          checkbox.removeAttribute("aria-label");
         }
+        option.querySelector(".facet-count").textContent = `(${count})`;
+        option.classList.toggle(
+          "facet-option-empty",
+          count === 0 && !checkbox.checked,
+        );
+      });
+    });
+  }
+
+  matchesColumnFilter(columnIndex, cellValues) {
+    // cellValues are the cell's lower-cased values from getIndexedCellValues()
+    const included = this.activeFilters.columns[columnIndex] || [];
+    const excluded = this.activeFilters.excluded[columnIndex] || [];
+    const hasValue = (value) => cellValues.includes(value);
+
+    // Excluded values rule a row out whatever the column's match mode
+    if (excluded.some(hasValue)) return false;
+    if (!included.length) return true;
+
+    return this.getColumnMatchMode(columnIndex) === "all"
+      ? included.every(hasValue)
+      : included.some(hasValue);
+  }
+
+  updateHighlights() {
+    const terms =
+      this.highlightEnabled && this.filteredRows
+        ? this.getSearchTokens().filter(
+            (token) => token.type === "term" && !token.exclude,
+          )
+        : [];
+
+    // Remove marks left by the previous search before adding new ones
+    const termsKey = JSON.stringify(
+      terms.map((term) => [term.columnIndex, term.value]),
+    );
+    if (termsKey !== this.highlightedTerms) {
+      this.highlightedRows.forEach((row) => removeHighlights(row));
+      this.highlightedRows.clear();
+      this.highlightedTerms = termsKey;
+    }
+    if (!terms.length) return;
+
+    // Only rows on the current page or in the virtual window are marked, so
+    // the work per keystroke does not grow with the number of matches
+    const renderedRows = new Set(this.getRenderedRows());
+    this.highlightedRows.forEach((row) => {
+      if (!renderedRows.has(row)) {
+        removeHighlights(row);
+        this.highlightedRows.delete(row);
       }
     });
+
+    renderedRows.forEach((row) => {
+      if (this.highlightedRows.has(row)) return;
+      row.querySelectorAll("td").forEach((cell, columnIndex) => {
+        // Column-scoped terms are only highlighted in their own column
+        const values = terms
+          .filter(
+            (term) =>
+              term.columnIndex === undefined ||
+              term.columnIndex === columnIndex,
+          )
+          .map((term) => term.value);
+        if (values.length) {
+          highlightMatches(cell, values, this.searchMatcher.findMatches);
+        }
+      });
+      this.highlightedRows.add(row);
+    });
+  }
+
+  // Matching rows that are attached and shown: the virtual window, the
+  // current page, or every match without pagination
+  getRenderedRows() {
+    if (this.virtual) {
+      const { displayRows, start, end } = this.virtual;
+      return displayRows.slice(Math.max(start, 0), end);
+    }
+    const rows = this.getMatchingRows();
+    const { itemsPerPage, range } = this.pagination;
+    return itemsPerPage && range ? rows.slice(range.start, range.end) : rows;
+  }
+
+  updateFilterPills() {
+    const pillsContainer = this.getElement("filterPills");
+    const appliedFiltersSection = this.getElement("applied-filters");
+
+    if (!pillsContainer || !appliedFiltersSection) return;
+
+    const pills = [];
+
+    // Pills are built with DOM APIs, as their labels come straight from the
+    // search box, the URL and the table
+    this.getSearchTokens().forEach((token, tokenIndex, tokens) => {
+      if (token.type !== "term") return;
+
+      const label = this.getSearchTermLabel(token, tokens[tokenIndex - 1]);
+      pills.push(
+        this.createPill(label, token.exclude, {
+          "data-filter-type": "search",
+          "data-search-token": tokenIndex,
+        }),
+      );
+    });
+
+    // Add column filter pills, each with a toggle between include and exclude
+    [
+      [this.activeFilters.columns, false],
+      [this.activeFilters.excluded, true],
+    ].forEach(([columns, excluded]) => {
+      for (const [columnIndex, filterValues] of Object.entries(columns)) {
+        const filter = this.columnFilters.find(
+          (f) => f.columnIndex == columnIndex,
+        );
+        if (filter && Array.isArray(filterValues)) {
+          // Create a pill for each filter value (grouped by column)
+          filterValues.forEach((filterValue) => {
+            const attributes = {
+              "data-column-index": columnIndex,
+              "data-filter-value": filterValue,
+            };
+
+            const toggle = document.createElement("button");
+            toggle.type = "button";
+            toggle.className = "filter-pill-toggle";
+            toggle.title = "Exclude";
+            toggle.textContent = "≠";
+            this.setAttributes(toggle, {
+              ...attributes,
+              "aria-pressed": excluded,
+              "aria-label": `Exclude ${filterValue}`,
+            });
+
+            const group = document.createElement("span");
+            group.className = "filter-pill-group";
+            group.append(
+              toggle,
+              this.createPill(
+                excluded ? `Not ${filterValue}` : filterValue,
+                excluded,
+                attributes,
+              ),
+            );
+            pills.push(group);
+          });
+        }
+      }
+    });
+
+    // Add a single pill for each date or number range
+    for (const [columnIndex, range] of Object.entries(
+      this.activeFilters.ranges,
+    )) {
+      const filter = this.rangeFilters.find(
+        (f) => f.columnIndex == columnIndex,
+      );
+      if (filter) {
+        const label = `${filter.label}: ${this.formatRange(filter, range)}`;
+        pills.push(
+          this.createPill(label, false, {
+            "data-filter-type": "range",
+            "data-column-index": columnIndex,
+          }),
+        );
+      }
+    }
+
+    pillsContainer.replaceChildren(...pills);
+    appliedFiltersSection.classList.toggle("hidden", pills.length === 0);
+
+    this.updateFilterActions();
+  }
+
+  updateFilterActions() {
+    const actions = this.getElement("filterActions");
+    if (!actions) return;
+
+    // A link is only worth copying when filters are active, while the
+    // downloads cover the matching rows, filtered or not
+    const hasFilters =
+      this.getFiltersSignature(this.activeFilters) !== EMPTY_FILTERS_SIGNATURE;
+    const matchingCount = this.filteredRows
+      ? this.filteredRows.size
+      : this.getTotalCount();
+    const copyButton = this.getElement("copyFilterLink");
+    if (copyButton) {
+      copyButton.hidden = !hasFilters;
+    }
+    ["downloadCSV", "downloadJSON"].forEach((name) => {
+      const button = this.getElement(name);
+      if (button) {
+        button.hidden = matchingCount === 0;
+      }
+    });
+
+    actions.hidden = !Array.from(actions.children).some(
+      (child) => !child.hidden,
+    );
+  }
+
+  createPill(label, exclude, attributes) {
+    const pill = document.createElement("button");
+    pill.type = "button";
+    pill.className = exclude
+      ? "filter-pill filter-pill-exclude"
+      : "filter-pill";
+    this.setAttributes(pill, {
+      ...attributes,
+      "aria-label": `Remove filter: ${label}`,
+    });
+
+    const labelSpan = document.createElement("span");
+    labelSpan.className = "filter-pill-label";
+    labelSpan.textContent = label;
+
+    const close = document.createElement("span");
+    close.className = "filter-pill-close";
+    close.setAttribute("aria-hidden", "true");
+    close.textContent = "×";
+
+    pill.append(labelSpan, close);
+    return pill;
+  }
+
+  setAttributes(element, attributes) {
+    Object.entries(attributes).forEach(([name, value]) => {
+      element.setAttribute(name, String(value));
+    });
+  }
+
+  matchesSearchAndRanges(entry, searchGroups, ranges) {
+    // Check search terms against the whole row or a single column
+    if (
+      searchGroups.length > 0 &&
+      !matchesSearchGroups(
+        searchGroups,
+        (columnIndex) => this.getPreparedText(entry, columnIndex),
+        this.searchMatcher.matches,
+      )
+    ) {
+      return false;
+    }
+
+    // Check date and number ranges
+    return ranges.every(([columnIndex, range]) =>
+      this.matchesRange(columnIndex, entry, range),
+    );
+  }
+
+  getSearchTokens(search = this.activeFilters.search) {
+    // Resolve column-scoped terms against the header names; unknown prefixes
+    // such as "10:30" are searched for as plain text
+    return parseSearchQuery(search).map((token) => {
+      if (token.type !== "term") return token;
+      if (!token.column) {
+        return { ...token, value: this.searchMatcher.prepare(token.text) };
+      }
+
+      const columnKey = toColumnKey(token.column);
+      const columnIndex = Array.from(
+        this.table.querySelectorAll("thead th"),
+      ).findIndex(
+        (th, index) => toColumnKey(this.getColumnName(index)) === columnKey,
+      );
+
+      if (columnIndex === -1) {
+        return {
+          ...token,
+          column: null,
+          value: this.searchMatcher.prepare(`${token.column}:${token.text}`),
+        };
+      }
+      return {
+        ...token,
+        columnIndex,
+        value: this.searchMatcher.prepare(token.text),
+      };
+    });
+  }
+
+  getSearchTermLabel(token, previousToken) {
+    let label = token.phrase ? `"${token.text}"` : token.text;
+    if (token.column) {
+      label = `${this.getColumnName(token.columnIndex)}: ${label}`;
+    }
+    if (token.exclude) {
+      label = `Not ${label}`;
+    }
+    if (previousToken?.type === "or") {
+      label = `or ${label}`;
+    }
+    return label;
+  }
+
+  clearSearchTerm(tokenIndex) {
+    const search = removeSearchToken(
+      parseSearchQuery(this.activeFilters.search),
+      tokenIndex,
+    );
+    this.searchInput.value = search;
+    this.activeFilters.search = search;
+    this.filterTable();
+    this.updateClearButton();
+    this.updateFilterPills();
+  }
+
+  clearSearchFilter() {
+    this.searchInput.value = "";
+    this.activeFilters.search = "";
+    this.filterTable();
+    this.updateClearButton();
+    this.updateFilterPills();
+  }
+
+  clearColumnFilter(columnIndex, filterValue = null) {
+    [this.activeFilters.columns, this.activeFilters.excluded].forEach(
+      (columns) => {
+        if (filterValue === null) {
+          // Clear all filters for this column
+          delete columns[columnIndex];
+          return;
+        }
+        // Remove specific filter value from the array
+        const filters = columns[columnIndex];
+        if (filters) {
+          const index = filters.indexOf(filterValue);
+          if (index > -1) {
+            filters.splice(index, 1);
+          }
+          // If array is empty, delete the column entry
+          if (filters.length === 0) {
+            delete columns[columnIndex];
+          }
+        }
+      },
+    );
+
+    // Update dropdown options to show removed values
+    this.updateDropdownOptions(columnIndex);
+
+    this.filterTable();
+    this.updateFilterPills();
+  }
+
+  toggleColumnFilter(columnIndex, filterValue) {
+    const filter = this.columnFilters.find((f) => f.columnIndex == columnIndex);
+    if (!filter) return;
+
+    const excluded = (this.activeFilters.excluded[columnIndex] || []).includes(
+      filterValue,
+    );
+    this.addColumnFilterValue(filter, filterValue, !excluded);
+
+    this.filterTable();
+    this.updateFilterPills();
+  }
+
+  getRangeFilters(type) {
+    return this.rangeFilters.filter((filter) => filter.type === type);
+  }
+
+  normaliseRange(filter, range) {
+    // Ranges may also be given in their URL form, e.g. "2019..2022"
+    if (filter.type === "number") {
+      return typeof range === "string"
+        ? parseNumberRange(range)
+        : normaliseNumberRange(range);
+    }
+    return typeof range === "string"
+      ? parseDateRange(range)
+      : normaliseDateRange(range);
+  }
+
+  serialiseRange(filter, range) {
+    return filter.type === "number"
+      ? serialiseNumberRange(range)
+      : serialiseDateRange(range);
+  }
+
+  formatRange(filter, range) {
+    return filter.type === "number"
+      ? formatNumberRange(range, filter.sortType)
+      : formatDateRange(range);
+  }
+
+  matchesRange(columnIndex, entry, range) {
+    const filter = this.rangeFilters.find((f) => f.columnIndex == columnIndex);
+    if (!filter) return true;
+
+    // Cells are parsed once and the number or timestamp kept in the index
+    const value = getCachedValue(entry.rangeValues, Number(columnIndex), () => {
+      const text = entry.cells[columnIndex]?.textContent;
+      return filter.type === "number"
+        ? parseNumericValue(text, filter.sortType)
+        : parseDate(text);
+    });
+    return filter.type === "number"
+      ? isNumberInRange(value, range)
+      : isTimestampInRange(value, range);
+  }
+
+  parseNumberInput(filter, value) {
+    if (!value.trim()) return null;
+    const number = parseNumericValue(value, filter.sortType);
+    return isNaN(number) ? null : number;
+  }
+
+  setRangeFilter(columnIndex, range) {
+    const filter = this.rangeFilters.find((f) => f.columnIndex == columnIndex);
+    if (!filter) return;
+
+    const normalisedRange = this.normaliseRange(filter, range);
+    if (normalisedRange) {
+      this.activeFilters.ranges[columnIndex] = normalisedRange;
+    } else {
+      delete this.activeFilters.ranges[columnIndex];
+    }
+
+    this.filterTable();
+    this.updateRangeInputs();
+    this.updateFilterPills();
+  }
+
+  updateRangeInputs() {
+    this.getRangeFilters("number").forEach((filter) => {
+      const range = this.activeFilters.ranges[filter.columnIndex];
+      const minInput = document.getElementById(filter.minId);
+      const maxInput = document.getElementById(filter.maxId);
+      const minSlider = document.getElementById(filter.minSliderId);
+      const maxSlider = document.getElementById(filter.maxSliderId);
+      const format = (value) =>
+        value === null || value === undefined
+          ? ""
+          : formatNumber(value, filter.sortType);
+
+      if (minInput) minInput.value = format(range?.min);
+      if (maxInput) maxInput.value = format(range?.max);
+      if (minSlider) minSlider.value = range?.min ?? filter.bounds?.min ?? "";
+      if (maxSlider) maxSlider.value = range?.max ?? filter.bounds?.max ?? "";
+    });
+
+    this.getRangeFilters("date").forEach((filter) => {
+      const range = this.activeFilters.ranges[filter.columnIndex];
+      const fromInput = document.getElementById(filter.fromId);
+      const toInput = document.getElementById(filter.toId);
+      const presetSelect = document.getElementById(filter.presetId);
+
+      if (fromInput) fromInput.value = range?.from || "";
+      if (toInput) toInput.value = range?.to || "";
+
+      // Show the preset that matches the current range, if any
+      if (presetSelect) {
+        const preset = DATE_PRESETS.find(({ value }) => {
+          const presetRange = getDatePresetRange(value);
+          return (
+            range &&
+            presetRange.from === range.from &&
+            presetRange.to === range.to
+          );
+        });
+        presetSelect.value = preset ? preset.value : "";
+      }
+    });
+  }
+
+  updateDropdownOptions(columnIndex) {
+    const filter = this.columnFilters.find((f) => f.columnIndex == columnIndex);
+    if (!filter) return;
+
+    const select = document.getElementById(filter.selectId);
+    if (!select) return;
+
+    const selectedValues = [
+      ...(this.activeFilters.columns[columnIndex] || []),
+      ...(this.activeFilters.excluded[columnIndex] || []),
+    ];
+
+    // Cascading dropdowns also hide or disable values no row would match
+    // under the other filters
+    const counts = this.columnValueCounts?.get(filter.columnIndex);
+    const labels = new Map(
+      filter.values.map((val) => [val.toLowerCase(), val]),
+    );
+
+    // Show/hide options based on whether they're selected
+    Array.from(select.options).forEach((option) => {
+      if (option.value !== "all") {
+        const count = counts?.get(option.value) || 0;
+        const unreachable = Boolean(counts && this.cascadingFilters) && !count;
+
+        if (
+          selectedValues.includes(option.value) ||
+          (unreachable && this.cascadingFilters === "hide")
+        ) {
+          option.style.display = "none";
+        } else {
+          option.style.display = "";
+        }
+        option.disabled = unreachable && this.cascadingFilters === "disable";
+
+        if (counts && this.showOptionCounts) {
+          option.textContent = `${labels.get(option.value) ?? option.text} (${count})`;
+        }
+      }
+    });
+  }
+
+  sortTable(columnIndex) {
+    // Determine sort direction
+    let direction = "asc";
+    if (this.sortState.columnIndex === columnIndex) {
+      if (this.sortState.direction === "asc") {
+        direction = "desc";
+      } else if (this.sortState.direction === "desc") {
+        // Reset sort
+        direction = null;
+      }
+    }
+
+    if (direction) {
+      this.applySort(columnIndex, direction);
+      return;
+    }
+
+    // Reset to the configured default sort, unless that is the sort being
+    // cycled away from, in which case fall back to the original order
+    const defaultSort = this.defaultSort;
+    if (
+      defaultSort &&
+      !(
+        defaultSort.columnIndex === columnIndex &&
+        defaultSort.direction === this.sortState.direction
+      )
+    ) {
+      this.resetSort();
+    } else {
+      this.applySort(null, null);
+    }
+  }
+
+  resetSort() {
+    if (this.defaultSort) {
+      this.applySort(this.defaultSort.columnIndex, this.defaultSort.direction);
+    } else {
+      this.applySort(null, null);
+    }
+  }
+
+  applySort(columnIndex, direction) {
+    const tbody = this.table.querySelector("tbody");
+    if (!tbody) return;
+
+    const sortDetail = {
+      columnIndex: direction ? columnIndex : null,
+      direction,
+    };
+    if (!this.triggerEvent("beforesort", sortDetail, true)) return;
+
+    const headers = this.table.querySelectorAll("thead th");
+    const rows = [...this.getRows()];
+
+    // Store original index before the first reorder
+    rows.forEach((row, index) => {
+      if (!row.hasAttribute("data-original-index")) {
+        row.setAttribute("data-original-index", index.toString());
+      }
+    });
+
+    // Update sort state
+    this.sortState.columnIndex = direction ? columnIndex : null;
+    this.sortState.direction = direction;
+
+    // Remove sort classes from all headers
+    headers.forEach((h) => {
+      h.classList.remove("sort-asc", "sort-desc");
+      if (h.hasAttribute("aria-sort")) {
+        h.setAttribute("aria-sort", "none");
+      }
+    });
+
+    // Add sort class to current header
+    if (direction && headers[columnIndex]) {
+      headers[columnIndex].classList.add(`sort-${direction}`);
+      headers[columnIndex].setAttribute(
+        "aria-sort",
+        direction === "asc" ? "ascending" : "descending",
+      );
+    }
+
+    // Sort rows
+    if (direction) {
+      const sortType = this.getColumnSortType(columnIndex);
+      const modifier = direction === "asc" ? 1 : -1;
+
+      // Parse each cell once and keep the key in the row index for the
+      // next sort
+      const sortKeys = new Map(
+        rows.map((row) => {
+          const entry = this.rowIndex.get(row);
+          let sortKey = entry.sortKeys.get(columnIndex);
+          if (sortKey?.sortType !== sortType) {
+            const text = entry.cells[columnIndex]?.textContent ?? "";
+            sortKey = { sortType, text, key: getSortKey(text, sortType) };
+            entry.sortKeys.set(columnIndex, sortKey);
+          }
+          return [row, sortKey];
+        }),
+      );
+
+      rows.sort((a, b) => {
+        const aValue = sortKeys.get(a);
+        const bValue = sortKeys.get(b);
+        const comparison =
+          compareSortKeys(aValue.key, bValue.key, sortType) ||
+          compareNatural(aValue.text, bValue.text);
+        return comparison * modifier;
+      });
+    } else {
+      // Restore original order by sorting by original index
+      rows.sort((a, b) => {
+        const aIndex = parseInt(a.getAttribute("data-original-index") || "0");
+        const bIndex = parseInt(b.getAttribute("data-original-index") || "0");
+        return aIndex - bIndex;
+      });
+    }
+
+    // Re-append rows in sorted order; virtual rows are re-rendered by
+    // applyPagination()
+    if (this.virtual) {
+      this.virtual.rows = rows;
+    } else {
+      rows.forEach((row) => tbody.appendChild(row));
+    }
+
+    // Re-slice the current page in the new order
+    this.applyPagination();
+
+    this.handleStateChange();
+    this.triggerEvent("sort", sortDetail);
+  }
+
+  applyPagination() {
+    if (!this.pagination.itemsPerPage || !this.filteredRows) {
+      if (this.virtual) {
+        this.setVirtualDisplayRows(this.getMatchingRows());
+      } else {
+        this.updateHighlights();
+      }
+      return;
+    }
+
+    const tbody = this.table.querySelector("tbody");
+    if (!tbody) return;
+
+    // Walk matching rows in their current (possibly sorted) order
+    const rows = this.getMatchingRows();
+    const { itemsPerPage, mode } = this.pagination;
+    const pageCount = this.getPageCount();
+
+    // Keep the current page within range
+    this.pagination.currentPage = Math.min(
+      Math.max(this.pagination.currentPage, 1),
+      pageCount,
+    );
+
+    // "Load more" keeps earlier pages visible
+    const start =
+      mode === "load-more"
+        ? 0
+        : (this.pagination.currentPage - 1) * itemsPerPage;
+    const end = this.pagination.currentPage * itemsPerPage;
+
+    this.pagination.range = { start, end: Math.min(end, rows.length) };
+    if (this.virtual) {
+      this.setVirtualDisplayRows(rows.slice(start, end));
+    } else {
+      rows.forEach((row, index) => {
+        this.setRowVisible(row, index >= start && index < end);
+      });
+      this.updateHighlights();
+    }
+
+    this.updatePaginationControls(
+      rows.length,
+      start,
+      this.pagination.range.end,
+    );
+    this.updateResultsSummary();
+  }
+
+  updatePaginationControls(totalCount, start, end) {
+    const nav = this.paginationContainer;
+    if (!nav) return;
+
+    const { currentPage, mode } = this.pagination;
+    const pageCount = this.getPageCount();
+
+    nav.hidden = totalCount === 0;
+
+    const pagesList = nav.querySelector(".pagination-pages");
+    if (pagesList) {
+      pagesList.hidden = mode === "load-more" || pageCount <= 1;
+
+      const items = [];
+      items.push(`
+        <li class="pagination-item">
+          <button type="button" class="pagination-link pagination-previous" data-page="${currentPage - 1}"${currentPage === 1 ? " disabled" : ""} aria-label="Previous page">Previous</button>
+        </li>
+      `);
+
+      this.getPageNumbers(currentPage, pageCount).forEach((page) => {
+        if (page === null) {
+          items.push(
+            '<li class="pagination-item pagination-ellipsis" aria-hidden="true">…</li>',
+          );
+          return;
+        }
+        const isCurrent = page === currentPage;
+        items.push(`
+          <li class="pagination-item">
+            <button type="button" class="pagination-link${isCurrent ? " active" : ""}" data-page="${page}"${isCurrent ? ' aria-current="page"' : ""} aria-label="Page ${page}">${page}</button>
+          </li>
+        `);
+      });
+
+      items.push(`
+        <li class="pagination-item">
+          <button type="button" class="pagination-link pagination-next" data-page="${currentPage + 1}"${currentPage === pageCount ? " disabled" : ""} aria-label="Next page">Next</button>
+        </li>
+      `);
+
+      pagesList.innerHTML = items.join("");
+    }
+
+    const loadMoreButton = nav.querySelector(".pagination-load-more");
+    if (loadMoreButton) {
+      loadMoreButton.hidden = mode !== "load-more" || end >= totalCount;
+    }
+  }
+
+  getPageNumbers(currentPage, pageCount) {
+    // Show every page when there are only a few
+    if (pageCount <= 7) {
+      return Array.from({ length: pageCount }, (_, i) => i + 1);
+    }
+
+    // Otherwise show the first, last and neighbouring pages, with gaps as null
+    const pages = [1];
+    const windowStart = Math.max(2, currentPage - 1);
+    const windowEnd = Math.min(pageCount - 1, currentPage + 1);
+
+    if (windowStart > 2) pages.push(null);
+    for (let page = windowStart; page <= windowEnd; page++) {
+      pages.push(page);
+    }
+    if (windowEnd < pageCount - 1) pages.push(null);
+    pages.push(pageCount);
+
+    return pages;
+  }
+
+  getPageCount() {
+    this.finishPendingFilter();
+    if (!this.pagination.itemsPerPage || !this.filteredRows) return 1;
+    return Math.max(
+      1,
+      Math.ceil(this.filteredRows.size / this.pagination.itemsPerPage),
+    );
+  }
+
+  getCurrentPage() {
+    return this.pagination.currentPage;
+  }
+
+  goToPage(page) {
+    if (!this.pagination.itemsPerPage || isNaN(page)) return;
+
+    this.pagination.currentPage = page;
+    this.applyPagination();
+
+    this.handleStateChange();
+    this.triggerEvent("page", this.getPageDetail());
+  }
+
+  getPageDetail() {
+    return {
+      currentPage: this.pagination.currentPage,
+      pageCount: this.getPageCount(),
+      itemsPerPage: this.pagination.itemsPerPage,
+    };
+  }
+
+  loadMore() {
+    this.goToPage(this.pagination.currentPage + 1);
+  }
+
+  setItemsPerPage(itemsPerPage) {
+    if (!this.pagination.itemsPerPage || !(itemsPerPage > 0)) return;
+
+    this.pagination.itemsPerPage = itemsPerPage;
+    this.pagination.currentPage = 1;
+
+    const pageSizeSelect = this.getElement("paginationPageSize");
+    if (pageSizeSelect) {
+      pageSizeSelect.value = String(itemsPerPage);
+    }
+
+    this.applyPagination();
+
+    this.handleStateChange();
+    this.triggerEvent("page", this.getPageDetail());
+  }
+
+  initializeQueryParams() {
+    // A prefix such as "findings-" keeps this table's parameters apart from
+    // other tables and scripts on the page
+    const prefix = String(
+      this.options.paramPrefix ??
+        this.configElement?.getAttribute("data-param-prefix") ??
+        "",
+    );
+    const headers = this.table.querySelectorAll("thead th");
+    const columns = Array.from(headers, (header, columnIndex) => {
+      const name = this.getColumnName(columnIndex);
+      const settings = getColumnSettings(this.columnConfig, name);
+      return { name, param: settings.param, aliases: settings.paramAliases };
+    });
+    this.queryParams = { prefix, ...buildParamKeys(columns) };
+  }
+
+  getParamKey(name) {
+    return this.queryParams.prefix + name;
+  }
+
+  getColumnParamKey(columnIndex) {
+    return this.getParamKey(this.queryParams.keys[columnIndex]);
+  }
+
+  getParamName(key) {
+    // The key without this table's prefix, or null for other parameters
+    const { prefix } = this.queryParams;
+    return key.toLowerCase().startsWith(prefix.toLowerCase())
+      ? key.slice(prefix.length)
+      : null;
+  }
+
+  isReservedParam(name) {
+    return RESERVED_PARAMS.includes(name.toLowerCase());
+  }
+
+  isOwnParam(key) {
+    const name = this.getParamName(key);
+    if (name === null) return false;
+
+    // Without a prefix, only the reserved keys and column keys are this
+    // table's; anything else belongs to the page
+    return (
+      Boolean(this.queryParams.prefix) ||
+      this.isReservedParam(name) ||
+      findParamColumn(this.queryParams.lookup, name) !== -1
+    );
+  }
+
+  getQueryParam(urlParams, name) {
+    // Keys are matched ignoring case
+    const key = this.getParamKey(name).toLowerCase();
+    const entry = [...urlParams].find(([k]) => k.toLowerCase() === key);
+    return entry ? entry[1] : null;
+  }
+
+  applyQueryStringFilters() {
+    const urlParams = new URLSearchParams(window.location.search);
+    const ignored = [];
+
+    // Apply filters and update UI if any filters were added
+    const filters = this.readQueryStringFilters(urlParams, ignored);
+    if (this.getFiltersSignature(filters) !== EMPTY_FILTERS_SIGNATURE) {
+      this.activeFilters = filters;
+      this.filterTable();
+      this.updateFilterControls();
+    }
+
+    this.applySortAndPageParams(urlParams, ignored);
+    this.updateQueryStringNotice(ignored);
+  }
+
+  applyQueryStringState(urlParams) {
+    // Replace the filters, sort and page with those in the query string
+    const ignored = [];
+    this.activeFilters = this.readQueryStringFilters(urlParams, ignored);
+    this.filterTable();
+    this.updateFilterControls();
+    this.applySortAndPageParams(urlParams, ignored);
+    return ignored;
+  }
+
+  readQueryStringFilters(urlParams, ignored = []) {
+    // Filters are built separately and only replace activeFilters once read,
+    // so presets can be compared with the current state
+    const filters = { search: "", columns: {}, excluded: {}, ranges: {} };
+
+    // Apply search keyword if present
+    const searchParam = this.getQueryParam(urlParams, "search");
+    if (searchParam && this.searchInput) {
+      filters.search = searchParam;
+    }
+
+    // Apply filters from query string
+    urlParams.forEach((value, key) => {
+      // Skip other parameters, and search, sort and page as they're handled
+      // separately
+      const name = this.getParamName(key);
+      if (name === null || this.isReservedParam(name)) return;
+
+      const columnIndex = findParamColumn(this.queryParams.lookup, name);
+      const rangeFilter = this.rangeFilters.find(
+        (f) => f.columnIndex === columnIndex,
+      );
+      const filter = this.columnFilters.find(
+        (f) => f.columnIndex === columnIndex,
+      );
+
+      if (!rangeFilter && !filter) {
+        // Unknown keys carrying this table's prefix come from an old link
+        if (this.queryParams.prefix) {
+          ignored.push({ label: name, value });
+        }
+        return;
+      }
+      const label = this.getColumnLabel(
+        columnIndex,
+        (rangeFilter || filter).columnName,
+      );
+
+      // Date and number ranges use a single "from..to" value
+      if (rangeFilter) {
+        const range = this.normaliseRange(rangeFilter, value);
+        if (range) {
+          filters.ranges[rangeFilter.columnIndex] = range;
+        } else {
+          ignored.push({ label, value });
+        }
+        return;
+      }
+
+      // Only values that exist in the dropdown options are applied;
+      // excluded values are prefixed with "-"
+      if (
+        !this.addColumnFilterValue(filter, value, false, filters) &&
+        !(
+          value.startsWith("-") &&
+          this.addColumnFilterValue(filter, value.slice(1), true, filters)
+        )
+      ) {
+        ignored.push({ label, value });
+      }
+    });
+
+    return filters;
+  }
+
+  getFiltersSignature(filters) {
+    // Independent of the order values were chosen in
+    const sortGroup = (group) =>
+      Object.keys(group)
+        .sort()
+        .map((key) => [
+          key,
+          Array.isArray(group[key]) ? [...group[key]].sort() : group[key],
+        ]);
+    return JSON.stringify([
+      filters.search.trim().toLowerCase(),
+      sortGroup(filters.columns),
+      sortGroup(filters.excluded),
+      sortGroup(filters.ranges),
+    ]);
+  }
+
+  updateQueryStringNotice(ignored) {
+    this.queryStringNotice?.remove();
+    this.queryStringNotice = null;
+    if (!ignored.length) return;
+
+    // Shared links can outlive the values they filtered on, so say which
+    // parts of the link were left out rather than dropping them silently
+    const notice = document.createElement("div");
+    notice.className = "table-filter-notice";
+    notice.setAttribute("role", "status");
+
+    const dismiss = document.createElement("button");
+    dismiss.type = "button";
+    dismiss.className = "filter-link-button";
+    dismiss.textContent = "Dismiss";
+    dismiss.addEventListener(
+      "click",
+      () => {
+        this.updateQueryStringNotice([]);
+        this.searchInput?.focus();
+      },
+      { signal: this.listenerController.signal },
+    );
+
+    const list = ignored
+      .map(({ label, value }) => `${label} "${value}"`)
+      .join(", ");
+    notice.append(
+      `Some filters in this link no longer match the table and were not applied: ${list}. `,
+      dismiss,
+    );
+    this.table.parentNode.insertBefore(
+      notice,
+      this.resultsSummary || this.table,
+    );
+    this.queryStringNotice = notice;
+  }
+
+  applySortAndPageParams(urlParams, ignored = []) {
+    // Without a sort parameter the configured default sort applies
+    const sortParam = this.getQueryParam(urlParams, "sort");
+    const sort = sortParam
+      ? this.parseSortParam(sortParam)
+      : this.defaultSort || { columnIndex: null, direction: null };
+    if (!sort) {
+      ignored.push({ label: "Sort", value: sortParam });
+    }
+    if (
+      sort &&
+      (sort.columnIndex !== this.sortState.columnIndex ||
+        sort.direction !== this.sortState.direction)
+    ) {
+      this.applySort(sort.columnIndex, sort.direction);
+    }
+
+    // The page is applied last, as filtering returns to the first page
+    const page = Math.max(
+      parseInt(this.getQueryParam(urlParams, "page"), 10) || 1,
+      1,
+    );
+    if (this.pagination.itemsPerPage && page !== this.pagination.currentPage) {
+      if (!this.filteredRows) this.filterTable();
+      this.goToPage(page);
+    }
+  }
+
+  parseSortParam(value) {
+    // "Column:asc" or "Column:desc"; "none" turns off the default sort
+    if (value === "none") return { columnIndex: null, direction: null };
+
+    const separator = value.lastIndexOf(":");
+    const columnKey = separator === -1 ? value : value.slice(0, separator);
+    const columnIndex = findParamColumn(this.queryParams.lookup, columnKey);
+    if (columnIndex === -1) {
+      console.warn(`Sort column not found: ${columnKey}`);
+      return null;
+    }
+
+    const direction = value.slice(separator + 1) === "desc" ? "desc" : "asc";
+    return { columnIndex, direction };
+  }
+
+  getSortParam() {
+    // Only a sort that differs from the configured default is written out
+    const { columnIndex, direction } = this.sortState;
+    const defaultSort = this.defaultSort || {
+      columnIndex: null,
+      direction: null,
+    };
+    if (
+      columnIndex === defaultSort.columnIndex &&
+      direction === defaultSort.direction
+    ) {
+      return null;
+    }
+    return direction
+      ? `${this.queryParams.keys[columnIndex]}:${direction}`
+      : "none";
+  }
+
+  generateFilterURL() {
+    const baseUrl = window.location.origin + window.location.pathname;
+
+    // Keep the page's other parameters, including other tables' filters
+    const params = new URLSearchParams(window.location.search);
+    [...params.keys()].forEach((key) => {
+      if (this.isOwnParam(key)) params.delete(key);
+    });
+
+    // Add search keyword to query string
+    if (this.activeFilters.search) {
+      params.append(this.getParamKey("search"), this.activeFilters.search);
+    }
+
+    // Add column filters to query string
+    for (const [columnIndex, filterValues] of Object.entries(
+      this.activeFilters.columns,
+    )) {
+      const filter = this.columnFilters.find(
+        (f) => f.columnIndex == columnIndex,
+      );
+      if (filter && Array.isArray(filterValues)) {
+        filterValues.forEach((value) => {
+          // Use the column's stable key rather than its header text
+          params.append(this.getColumnParamKey(filter.columnIndex), value);
+        });
+      }
+    }
+
+    // Add excluded values, prefixed with "-"
+    for (const [columnIndex, filterValues] of Object.entries(
+      this.activeFilters.excluded,
+    )) {
+      const filter = this.columnFilters.find(
+        (f) => f.columnIndex == columnIndex,
+      );
+      if (filter) {
+        filterValues.forEach((value) => {
+          params.append(
+            this.getColumnParamKey(filter.columnIndex),
+            `-${value}`,
+          );
+        });
+      }
+    }
+
+    // Add date and number ranges to query string
+    for (const [columnIndex, range] of Object.entries(
+      this.activeFilters.ranges,
+    )) {
+      const filter = this.rangeFilters.find(
+        (f) => f.columnIndex == columnIndex,
+      );
+      if (filter) {
+        params.append(
+          this.getColumnParamKey(filter.columnIndex),
+          this.serialiseRange(filter, range),
+        );
+      }
+    }
+
+    // Add sort and page when they differ from the defaults
+    const sortParam = this.getSortParam();
+    if (sortParam) {
+      params.append(this.getParamKey("sort"), sortParam);
+    }
+    if (this.pagination.itemsPerPage && this.pagination.currentPage > 1) {
+      params.append(
+        this.getParamKey("page"),
+        String(this.pagination.currentPage),
+      );
+    }
+
+    // The hash is kept so links can still point at a section of the page
+    const queryString = params.toString();
+    return `${baseUrl}${queryString ? `?${queryString}` : ""}${window.location.hash}`;
+  }
+
+  initializeHistorySync() {
+    const historySync =
+      this.options.historySync ??
+      this.configElement?.getAttribute("data-history-sync");
+    if (historySync !== true && historySync !== "true") return;
+
+    this.historySync = true;
+    this.historyKey = this.getHistoryKey(this.generateFilterURL());
+
+    // Back and Forward restore the filters, sort and page from the URL
+    window.addEventListener("popstate", () => this.restoreHistoryState(), {
+      signal: this.listenerController.signal,
+    });
+  }
+
+  getHistoryKey(url) {
+    const params = new URL(url, window.location.href).searchParams;
+    params.delete(this.getParamKey("search"));
+    return params.toString();
+  }
+
+  updateHistory() {
+    if (!this.historySync || !this.initialised || this.historyUpdate) return;
+
+    // Wait for the current task to finish, so a change that filters, sorts
+    // and pages at once (e.g. setState) writes a single history entry
+    this.historyUpdate = Promise.resolve().then(() => {
+      this.historyUpdate = null;
+      if (this.listenerController.signal.aborted) return;
+
+      const url = this.generateFilterURL();
+      if (url === window.location.href) return;
+
+      // Typing a search replaces the current entry; choosing values,
+      // ranges, sorting and paging add one so Back steps through them
+      const historyKey = this.getHistoryKey(url);
+      if (historyKey !== this.historyKey) {
+        this.historyKey = historyKey;
+        window.history.pushState(null, "", url);
+      } else {
+        window.history.replaceState(window.history.state, "", url);
+      }
+    });
+  }
+
+  restoreHistoryState() {
+    const urlParams = new URLSearchParams(window.location.search);
+    this.updateQueryStringNotice(this.applyQueryStringState(urlParams));
+
+    // The entry already exists, so the update this causes replaces it
+    this.historyKey = this.getHistoryKey(this.generateFilterURL());
+  }
+
+  copyFilterURL() {
+    const url = this.generateFilterURL();
+
+    // Try modern Clipboard API first
+    if (navigator.clipboard && navigator.clipboard.writeText) {
+      navigator.clipboard
+        .writeText(url)
+        .then(() => {
+          this.showCopyFeedback(true, url);
+        })
+        .catch((err) => {
+          console.warn("Clipboard API failed, using fallback:", err);
+          this.fallbackCopyURL(url);
+        });
+    } else {
+      // Use fallback for older browsers
+      this.fallbackCopyURL(url);
+    }
+  }
+
+  fallbackCopyURL(url) {
+    const textArea = document.createElement("textarea");
+    textArea.value = url;
+    textArea.style.position = "fixed";
+    textArea.style.left = "-9999px";
+    textArea.style.top = "-9999px";
+    document.body.appendChild(textArea);
+    textArea.focus();
+    textArea.select();
+
+    try {
+      const successful = document.execCommand("copy");
+      this.showCopyFeedback(successful, url);
+    } catch (err) {
+      console.error("Fallback copy failed:", err);
+      this.showCopyFeedback(false, url);
+    }
+
+    document.body.removeChild(textArea);
+  }
+
+  showCopyFeedback(success, url) {
+    this.triggerEvent("copy", { url, success });
+
+    const copyButton = this.getElement("copyFilterLink");
+    if (!copyButton) return;
+
+    if (success) {
+      // Store original content
+      const originalHTML = copyButton.innerHTML;
+
+      // Show success state
+      copyButton.classList.add("copied");
+      copyButton.innerHTML = '<i class="fas fa-check"></i> Copied!';
+      copyButton.disabled = true;
+
+      // Reset after 2 seconds
+      setTimeout(() => {
+        copyButton.classList.remove("copied");
+        copyButton.innerHTML = originalHTML;
+        copyButton.disabled = false;
+      }, 2000);
+    } else {
+      // Show error message
+      alert("Failed to copy link. Please try again.");
+    }
+  }
+
+  getExportData(options = {}) {
+    const includeHidden =
+      options.includeHidden ??
+      String(
+        this.options.exportHiddenColumns ??
+          this.configElement?.getAttribute("data-export-hidden-columns"),
+      ) === "true";
+
+    // Columns hidden with the "hidden" class are left out unless asked for
+    const columns = Array.from(this.table.querySelectorAll("thead th"))
+      .map((header, index) => ({
+        index,
+        name: this.getColumnName(index),
+        hidden: header.classList.contains("hidden"),
+      }))
+      .filter((column) => includeHidden || !column.hidden);
+
+    // Rows matching the filters on every page, in their current sort order
+    const rows = this.getMatchingRows();
+
+    const linkedColumns = new Set();
+    const records = rows.map((row) => {
+      const cells = row.querySelectorAll("td");
+      const record = {};
+      columns.forEach((column) => {
+        const cell = cells[column.index];
+        record[column.name] = cell ? normaliseCellText(cell.textContent) : "";
+
+        // Link cells also export their address in a "<column> link" field
+        const link = cell?.querySelector("a[href]");
+        if (link) {
+          record[`${column.name} link`] = link.href;
+          linkedColumns.add(column.name);
+        }
+      });
+      return record;
+    });
+
+    const fields = columns.flatMap((column) =>
+      linkedColumns.has(column.name)
+        ? [column.name, `${column.name} link`]
+        : [column.name],
+    );
+    return { fields, records };
+  }
+
+  exportRows(format = "csv", options = {}) {
+    if (!EXPORT_FORMATS[format]) {
+      console.warn(`Unknown export format: ${format}`);
+      return "";
+    }
+
+    const { fields, records } = this.getExportData(options);
+    return format === "json" ? toJSON(fields, records) : toCSV(fields, records);
+  }
+
+  downloadRows(format = "csv", options = {}) {
+    const exportFormat = EXPORT_FORMATS[format];
+    if (!exportFormat) {
+      console.warn(`Unknown export format: ${format}`);
+      return;
+    }
+
+    const filename =
+      options.filename ||
+      this.options.exportFilename ||
+      this.configElement?.getAttribute("data-export-filename") ||
+      this.table.id ||
+      "table";
+    downloadText(
+      this.exportRows(format, options),
+      `${filename}.${exportFormat.extension}`,
+      exportFormat.type,
+    );
+    this.triggerEvent("export", { format });
+  }
+
+  clearAllFilters() {
+    // Clear search
+    this.searchInput.value = "";
+    this.activeFilters.search = "";
+
+    // Clear column filters and date ranges
+    this.activeFilters.columns = {};
+    this.activeFilters.excluded = {};
+    this.activeFilters.ranges = {};
+    this.columnFilters.forEach((filter) => {
+      const select = document.getElementById(filter.selectId);
+      if (select) {
+        select.value = "all";
+        // Show all options again
+        Array.from(select.options).forEach((option) => {
+          option.style.display = "";
+        });
+      }
+    });
+
+    this.filterTable();
+    this.updateClearButton();
+    this.updateRangeInputs();
+    this.updateFilterPills();
+
+    this.triggerEvent("clear");
+  }
+
+  createResultsSummary() {
+    // Announces the number of matching rows to screen readers as filters change
+    const summary = document.createElement("div");
+    summary.className = "table-filter-results";
+    summary.setAttribute("role", "status");
+    summary.setAttribute("aria-live", "polite");
+    this.table.parentNode.insertBefore(summary, this.table);
+    this.resultsSummary = summary;
+
+    this.updateResultsSummary();
+  }
+
+  updateResultsSummary() {
+    if (!this.resultsSummary) return;
+
+    const label =
+      this.options.resultsLabel ||
+      this.configElement?.getAttribute("data-results-label") ||
+      "results";
+    const totalCount = this.getTotalCount();
+    const visibleCount = this.filteredRows
+      ? this.filteredRows.size
+      : totalCount;
+
+    // This is the only live region, so with pagination it also announces
+    // the rows on the current page
+    const { itemsPerPage, range } = this.pagination;
+    let text = `Showing ${visibleCount} of ${totalCount} ${label}`;
+    if (itemsPerPage && range && this.filteredRows && visibleCount > 0) {
+      const filtered =
+        visibleCount < totalCount ? ` (filtered from ${totalCount})` : "";
+      text = `Showing ${range.start + 1}–${range.end} of ${visibleCount} ${label}${filtered}`;
+    }
+
+    // Unchanged text is not written again, so it is not announced twice
+    if (this.resultsSummary.textContent !== text) {
+      this.resultsSummary.textContent = text;
+    }
+  }
+
+  updateNoResultsMessage(show) {
+    let message = this.noResultsMessage;
+
+    if (show && !message) {
+      message = document.createElement("div");
+      message.className = this.options.noResultsClass;
+      this.table.parentNode.insertBefore(message, this.table.nextSibling);
+      this.noResultsMessage = message;
+    } else if (!show && message) {
+      message.remove();
+      this.noResultsMessage = null;
+    }
+
+    if (!show) return;
+
+    // Offer a corrected search built from words that appear in the table
+    message.textContent = "No matching results found.";
+    const suggestion = this.getSearchSuggestion();
+    if (suggestion) {
+      const button = document.createElement("button");
+      button.type = "button";
+      button.className = "table-filter-suggestion";
+      button.textContent = suggestion;
+      button.addEventListener("click", () =>
+        this.setState({ search: suggestion }),
+      );
+      message.append(" Did you mean ", button, "?");
+    }
+  }
+
+  // Words are prepared by the active search mode, so a suggestion is
+  // spelled the way that mode will match it
+  getSearchWords(text) {
+    return this.searchMatcher
+      .prepare(text)
+      .split(" ")
+      .map((word) => word.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, ""));
+  }
+
+  getSearchVocabulary() {
+    if (this.searchVocabulary) return this.searchVocabulary;
+
+    const vocabulary = new Map();
+    const cells = this.getRows().flatMap((row) => this.rowIndex.get(row).cells);
+    cells.forEach((cell) => {
+      this.getSearchWords(cell.textContent).forEach((word) => {
+        if (word.length < 3) return;
+        vocabulary.set(word, (vocabulary.get(word) || 0) + 1);
+      });
+    });
+
+    this.searchVocabulary = vocabulary;
+    return vocabulary;
+  }
+
+  getSearchSuggestion() {
+    const tokens = parseSearchQuery(this.activeFilters.search);
+    if (!tokens.length) return null;
+
+    const vocabulary = this.getSearchVocabulary();
+    let corrected = false;
+
+    const search = tokens.map((token) => {
+      // Excluded terms can't be the reason nothing matched
+      if (token.type !== "term" || token.exclude) return token.raw;
+
+      let changed = false;
+      const words = this.getSearchWords(token.text).map((word) => {
+        if (!word || /\d/.test(word) || vocabulary.has(word)) return word;
+        const closest = findClosestWord(word, vocabulary);
+        if (!closest) return word;
+        changed = true;
+        return closest;
+      });
+      if (!changed) return token.raw;
+
+      corrected = true;
+      const text = token.phrase ? `"${words.join(" ")}"` : words.join(" ");
+      return token.column ? `${token.column}:${text}` : text;
+    });
+    if (!corrected) return null;
+
+    // Only suggest a search that finds something under the other filters
+    const suggestion = search.join(" ");
+    return this.countSearchMatches(suggestion) > 0 ? suggestion : null;
+  }
+
+  countSearchMatches(search) {
+    const searchGroups = groupSearchTerms(this.getSearchTokens(search));
+    const ranges = Object.entries(this.activeFilters.ranges);
+    const filteredColumns = [
+      ...new Set([
+        ...Object.keys(this.activeFilters.columns),
+        ...Object.keys(this.activeFilters.excluded),
+      ]),
+    ];
+
+    return this.getRows().filter((row) => {
+      const entry = this.rowIndex.get(row);
+      return (
+        this.matchesSearchAndRanges(entry, searchGroups, ranges) &&
+        filteredColumns.every(
+          (columnIndex) =>
+            !entry.cells[columnIndex] ||
+            this.matchesColumnFilter(
+              columnIndex,
+              this.getIndexedCellValues(entry, columnIndex),
+            ),
+        )
+      );
+    }).length;
+  }
+
+  handleStateChange() {
+    // Runs whenever filters, sort or page change, before the event fires
+    this.updateHistory();
+    this.savePersistedState();
+    this.updatePresetButtons();
+  }
+
+  getStorageKey(name) {
+    const tableId = this.table.id || `table${this.idSuffix}`;
+    return getStorageKey(window.location.pathname, tableId, name);
+  }
+
+  getViewState() {
+    // The filters and sort, without the page, as kept between visits
+    const { search, columns, excluded, ranges, sort } = this.getState();
+    return { search, columns, excluded, ranges, sort };
+  }
+
+  restorePersistedState() {
+    const persistState =
+      this.options.persistState ??
+      this.configElement?.getAttribute("data-persist-state");
+    this.persistState = persistState === true || persistState === "true";
+    if (!this.persistState) return;
+
+    // A shared link always wins over the state remembered from last time
+    const urlParams = new URLSearchParams(window.location.search);
+    if ([...urlParams.keys()].some((key) => this.isOwnParam(key))) return;
+
+    const state = readStorage(this.getStorageKey("state"), null);
+    if (state && typeof state === "object") {
+      this.setState(state);
+    }
+  }
+
+  savePersistedState() {
+    if (!this.persistState || !this.initialised) return;
+    writeStorage(this.getStorageKey("state"), this.getViewState());
+  }
+
+  initializePresets() {
+    const { signal } = this.listenerController;
+
+    // Buttons anywhere on the page belong to the table named by data-table-id
+    // on them or an ancestor, or to the first table when none is named
+    const elements = Array.from(
+      document.querySelectorAll("[data-table-filter-preset]"),
+    ).filter((element) => {
+      const tableId = element
+        .closest("[data-table-id]")
+        ?.getAttribute("data-table-id");
+      return tableId ? tableId === this.table.id : this.idSuffix === "";
+    });
+    const presets = elements.map((element) => ({
+      element,
+      params: this.parsePreset(
+        element.getAttribute("data-table-filter-preset"),
+      ),
+    }));
+
+    // data-presets='{"Label": {...}}' adds buttons above the table
+    let definitions =
+      this.options.presets ?? this.configElement?.getAttribute("data-presets");
+    if (typeof definitions === "string") {
+      try {
+        definitions = JSON.parse(definitions);
+      } catch (err) {
+        console.warn("Invalid table filter presets:", err);
+        definitions = null;
+      }
+    }
+    const presetsContainer = this.getElement("presets");
+    Object.entries(definitions || {}).forEach(([label, preset]) => {
+      if (!presetsContainer) return;
+      const button = document.createElement("button");
+      button.type = "button";
+      button.className = "filter-link-button filter-preset";
+      button.textContent = label;
+      presetsContainer.appendChild(button);
+      presets.push({ element: button, params: this.parsePreset(preset) });
+    });
+    if (presetsContainer) {
+      presetsContainer.hidden = !presetsContainer.children.length;
+    }
+
+    this.presets = presets.filter((preset) => preset.params);
+    this.resolvePresets();
+    this.presets.forEach((preset) => {
+      preset.element.addEventListener(
+        "click",
+        (e) => {
+          e.preventDefault();
+          this.applyPreset(preset);
+        },
+        { signal },
+      );
+    });
+    this.updatePresetButtons();
   }
 
-  sortTable(columnIndex) {
-    const tbody = this.table.querySelector("tbody");
-    if (!tbody) return;
-
-    const headers = this.table.querySelectorAll("thead th");
-    const rows = Array.from(tbody.querySelectorAll("tr"));
-
-    // Determine sort direction
-    let direction = "asc";
-    if (this.sortState.columnIndex === columnIndex) {
-      if (this.sortState.direction === "asc") {
-        direction = "desc";
-      } else if (this.sortState.direction === "desc") {
-        // Reset sort
-        direction = null;
+  parsePreset(preset) {
+    // A preset is an object such as {"Location": ["Alice Springs"]}, with the
+    // same keys as a filter link, or a query string copied from one
+    let value = preset;
+    if (typeof value === "string" && value.trim().startsWith("{")) {
+      try {
+        value = JSON.parse(value);
+      } catch (err) {
+        console.warn("Invalid table filter preset:", err);
+        return null;
       }
     }
+    if (typeof value === "string") {
+      return new URLSearchParams(value.trim().replace(/^\?/, ""));
+    }
 
-    // Update sort state
-    this.sortState.columnIndex = direction ? columnIndex : null;
-    this.sortState.direction = direction;
+    // Object keys are given without the table's parameter prefix
+    const params = new URLSearchParams();
+    Object.entries(value || {}).forEach(([key, values]) => {
+      [].concat(values).forEach((v) => {
+        params.append(this.getParamKey(key), String(v));
+      });
+    });
+    return params;
+  }
 
-    // Remove sort classes from all headers
-    headers.forEach((h) => {
-      h.classList.remove("sort-asc", "sort-desc");
+  resolvePresets() {
+    // Work out the filters and sort each preset selects, so its button can
+    // show whether it is active; called again when the rows change
+    this.presets.forEach((preset) => {
+      const ignored = [];
+      preset.filters = this.readQueryStringFilters(preset.params, ignored);
+      const sortParam = this.getQueryParam(preset.params, "sort");
+      preset.sort = sortParam ? this.parseSortParam(sortParam) : null;
+
+      if (ignored.length) {
+        const list = ignored
+          .map(({ label, value }) => `${label} "${value}"`)
+          .join(", ");
+        console.warn(`Preset values not found: ${list}`);
+      }
     });
+  }
 
-    // Add sort class to current header
-    if (direction) {
-      headers[columnIndex].classList.add(`sort-${direction}`);
+  applyPreset(preset) {
+    // Pressing an active preset again clears its filters
+    if (preset.element.getAttribute("aria-pressed") === "true") {
+      this.clearAllFilters();
+      return;
     }
 
-    // Sort rows
-    if (direction) {
-      rows.sort((a, b) => {
-        const aCell = a.querySelectorAll("td")[columnIndex];
-        const bCell = b.querySelectorAll("td")[columnIndex];
+    // Presets that do not set a sort keep the current one
+    const params = new URLSearchParams(preset.params);
+    const sortParam = this.getSortParam();
+    if (sortParam && !this.getQueryParam(params, "sort")) {
+      params.set(this.getParamKey("sort"), sortParam);
+    }
+    this.applyQueryStringState(params);
+  }
 
-        if (!aCell || !bCell) return 0;
+  updatePresetButtons() {
+    const signature = this.getFiltersSignature(this.activeFilters);
+    this.presets.forEach((preset) => {
+      // A preset that selects nothing is never shown as active
+      const presetSignature = this.getFiltersSignature(preset.filters);
+      const pressed =
+        presetSignature === signature &&
+        (preset.sort
+          ? preset.sort.columnIndex === this.sortState.columnIndex &&
+            preset.sort.direction === this.sortState.direction
+          : presetSignature !== EMPTY_FILTERS_SIGNATURE);
+      preset.element.setAttribute("aria-pressed", String(pressed));
+    });
+  }
 
-        const aText = aCell.textContent.trim();
-        const bText = bCell.textContent.trim();
+  getSavedViews() {
+    const views = readStorage(this.getStorageKey("views"), []);
+    return Array.isArray(views)
+      ? views.filter((view) => view && typeof view.name === "string")
+      : [];
+  }
 
-        // Try numeric comparison first
-        const aNum = parseFloat(aText.replace(/[^0-9.-]/g, ""));
-        const bNum = parseFloat(bText.replace(/[^0-9.-]/g, ""));
+  setSavedViews(views) {
+    writeStorage(this.getStorageKey("views"), views);
+    this.renderSavedViews();
+  }
 
-        if (!isNaN(aNum) && !isNaN(bNum)) {
-          return direction === "asc" ? aNum - bNum : bNum - aNum;
-        }
+  saveView(name) {
+    const viewName = String(name || "").trim();
+    if (!viewName) return false;
 
-        // Fallback to string comparison
-        const comparison = aText.localeCompare(bText);
-        return direction === "asc" ? comparison : -comparison;
-      });
+    // Saving under an existing name updates that view in place
+    const views = this.getSavedViews();
+    const view = { name: viewName, state: this.getViewState() };
+    const index = views.findIndex((v) => v.name === viewName);
+    if (index === -1) {
+      views.push(view);
     } else {
-      // Restore original order by sorting by original index
-      rows.sort((a, b) => {
-        const aIndex = parseInt(a.getAttribute("data-original-index") || "0");
-        const bIndex = parseInt(b.getAttribute("data-original-index") || "0");
-        return aIndex - bIndex;
-      });
+      views[index] = view;
     }
-
-    // Re-append rows in sorted order
-    rows.forEach((row) => tbody.appendChild(row));
+    this.setSavedViews(views);
+    return true;
   }
 
-  applyQueryStringFilters() {
-    const urlParams = new URLSearchParams(window.location.search);
-    let filtersApplied = false;
-
-    // Apply search keyword if present
-    const searchParam = urlParams.get("search");
-    if (searchParam && this.searchInput) {
-      this.searchInput.value = searchParam;
-      this.activeFilters.search = searchParam;
-      this.updateClearButton();
-      filtersApplied = true;
+  applyView(name) {
+    const view = this.getSavedViews().find((v) => v.name === name);
+    if (!view) {
+      console.warn(`Saved view not found: ${name}`);
+      return false;
     }
+    this.setState(view.state || {});
+    return true;
+  }
 
-    // Apply filters from query string
-    urlParams.forEach((value, key) => {
-      // Skip search parameter as it's already handled
-      if (key === "search") return;
+  renameView(name, newName) {
+    const viewName = String(newName || "").trim();
+    const views = this.getSavedViews();
+    const view = views.find((v) => v.name === name);
+    if (!view || !viewName) return false;
+    if (viewName !== name && views.some((v) => v.name === viewName)) {
+      console.warn(`A saved view is already called: ${viewName}`);
+      return false;
+    }
 
-      // Check if this key matches a column filter
-      const filter = this.columnFilters.find((f) => f.columnName === key);
+    view.name = viewName;
+    this.setSavedViews(views);
+    return true;
+  }
 
-      if (filter) {
-        const select = document.getElementById(filter.selectId);
-        if (!select) return;
+  deleteView(name) {
+    const views = this.getSavedViews();
+    const remaining = views.filter((v) => v.name !== name);
+    if (remaining.length === views.length) return false;
 
-        // Check if the value exists in the dropdown options
-        const option = Array.from(select.options).find(
-          (opt) => opt.value === value.toLowerCase(),
-        );
+    this.setSavedViews(remaining);
+    return true;
+  }
 
-        if (option) {
-          // Initialize array if it doesn't exist
-          if (!this.activeFilters.columns[filter.columnIndex]) {
-            this.activeFilters.columns[filter.columnIndex] = [];
-          }
-          // Add value to array if not already present
-          if (
-            !this.activeFilters.columns[filter.columnIndex].includes(
-              value.toLowerCase(),
-            )
-          ) {
-            this.activeFilters.columns[filter.columnIndex].push(
-              value.toLowerCase(),
-            );
-          }
-          // Update dropdown options to hide selected values
-          this.updateDropdownOptions(filter.columnIndex);
-          filtersApplied = true;
-        }
-      }
-    });
+  renderSavedViews() {
+    const list = this.getElement("savedViewList");
+    if (!list) return;
 
-    // Apply filters and update UI if any filters were added
-    if (filtersApplied) {
-      this.filterTable();
-      this.updateFilterPills();
+    const views = this.getSavedViews();
+    if (!views.length) {
+      const empty = document.createElement("li");
+      empty.className = "saved-views-empty";
+      empty.textContent = "No saved views yet.";
+      list.replaceChildren(empty);
+      return;
     }
+
+    // Names come from users, so they are only ever set as text
+    const createButton = (action, text, label) => {
+      const button = document.createElement("button");
+      button.type = "button";
+      button.className = `saved-view-${action}`;
+      button.setAttribute("data-view-action", action);
+      button.textContent = text;
+      if (label) button.setAttribute("aria-label", label);
+      return button;
+    };
+    const edit = this.savedViewEdit;
+    list.replaceChildren(
+      ...views.map(({ name }) => {
+        const item = document.createElement("li");
+        item.className = "saved-view";
+        item.dataset.viewName = name;
+
+        if (edit?.name === name && edit.action === "rename") {
+          const form = document.createElement("form");
+          form.className = "saved-view-edit";
+          const input = document.createElement("input");
+          input.type = "text";
+          input.className = "form-control rounded-0";
+          input.value = name;
+          input.required = true;
+          input.autocomplete = "off";
+          input.setAttribute("aria-label", `New name for ${name}`);
+          const save = document.createElement("button");
+          save.type = "submit";
+          save.className = "saved-view-save";
+          save.textContent = "Save";
+          const error = document.createElement("span");
+          error.className = "saved-view-error";
+          error.setAttribute("role", "alert");
+          form.append(input, save, createButton("cancel", "Cancel"), error);
+          item.append(form);
+        } else if (edit?.name === name && edit.action === "delete") {
+          const question = document.createElement("span");
+          question.className = "saved-view-question";
+          question.textContent = `Delete "${name}"?`;
+          const confirm = createButton("confirm-delete", "Delete");
+          confirm.setAttribute("aria-label", `Confirm deleting ${name}`);
+          item.append(question, confirm, createButton("cancel", "Cancel"));
+        } else {
+          item.append(
+            createButton("apply", name),
+            createButton("rename", "Rename", `Rename ${name}`),
+            createButton("delete", "Delete", `Delete ${name}`),
+          );
+        }
+        return item;
+      }),
+    );
   }
 
-  generateFilterURL() {
-    const baseUrl = window.location.origin + window.location.pathname;
-    const params = new URLSearchParams();
+  // Return focus to a view's button once its inline form closes
+  focusSavedView(name, action = "apply") {
+    const list = this.getElement("savedViewList");
+    const item = Array.from(list?.children || []).find(
+      (child) => child.dataset.viewName === name,
+    );
+    item?.querySelector(`[data-view-action="${action}"]`)?.focus();
+  }
 
-    // Add search keyword to query string
-    if (this.activeFilters.search) {
-      params.append("search", this.activeFilters.search);
+  getState() {
+    // Column filters are keyed by column name rather than index
+    const columns = {};
+    for (const [columnIndex, filterValues] of Object.entries(
+      this.activeFilters.columns,
+    )) {
+      const filter = this.columnFilters.find(
+        (f) => f.columnIndex == columnIndex,
+      );
+      if (filter && filterValues.length > 0) {
+        columns[filter.columnName] = [...filterValues];
+      }
     }
 
-    // Add column filters to query string
+    const excluded = {};
     for (const [columnIndex, filterValues] of Object.entries(
-      this.activeFilters.columns,
+      this.activeFilters.excluded,
     )) {
       const filter = this.columnFilters.find(
         (f) => f.columnIndex == columnIndex,
       );
-      if (filter && Array.isArray(filterValues)) {
-        filterValues.forEach((value) => {
-          // Use the original column name as the key
-          params.append(filter.columnName, value);
-        });
+      if (filter && filterValues.length > 0) {
+        excluded[filter.columnName] = [...filterValues];
       }
     }
 
-    const queryString = params.toString();
-    return queryString ? `${baseUrl}?${queryString}` : baseUrl;
+    const ranges = {};
+    for (const [columnIndex, range] of Object.entries(
+      this.activeFilters.ranges,
+    )) {
+      const filter = this.rangeFilters.find(
+        (f) => f.columnIndex == columnIndex,
+      );
+      if (filter) {
+        ranges[filter.columnName] = { ...range };
+      }
+    }
+
+    return {
+      search: this.activeFilters.search,
+      columns,
+      excluded,
+      ranges,
+      sort: this.sortState.direction
+        ? {
+            column: this.getColumnName(this.sortState.columnIndex),
+            direction: this.sortState.direction,
+          }
+        : null,
+      page: this.pagination.currentPage,
+      itemsPerPage: this.pagination.itemsPerPage || null,
+    };
   }
 
-  copyFilterURL() {
-    const url = this.generateFilterURL();
+  setState(state = {}) {
+    // Only the parts of the state that are provided are changed
+    if ("search" in state) {
+      this.activeFilters.search = state.search ? String(state.search) : "";
+    }
 
-    // Try modern Clipboard API first
-    if (navigator.clipboard && navigator.clipboard.writeText) {
-      navigator.clipboard
-        .writeText(url)
-        .then(() => {
-          this.showCopyFeedback(true);
-        })
-        .catch((err) => {
-          console.warn("Clipboard API failed, using fallback:", err);
-          this.fallbackCopyURL(url);
+    // Included and excluded values are set the same way
+    [
+      ["columns", false],
+      ["excluded", true],
+    ].forEach(([key, exclude]) => {
+      if (!(key in state)) return;
+
+      this.activeFilters[key] = {};
+      Object.entries(state[key] || {}).forEach(([columnName, values]) => {
+        const filter = this.columnFilters.find(
+          (f) => f.columnName.toLowerCase() === columnName.toLowerCase(),
+        );
+        if (!filter) {
+          console.warn(`Column filter not found: ${columnName}`);
+          return;
+        }
+        [].concat(values).forEach((value) => {
+          if (!this.addColumnFilterValue(filter, value, exclude)) {
+            console.warn(`Filter value not found in ${columnName}: ${value}`);
+          }
         });
-    } else {
-      // Use fallback for older browsers
-      this.fallbackCopyURL(url);
+      });
+    });
+
+    if ("ranges" in state) {
+      this.activeFilters.ranges = {};
+      Object.entries(state.ranges || {}).forEach(([columnName, range]) => {
+        const filter = this.rangeFilters.find(
+          (f) => f.columnName.toLowerCase() === columnName.toLowerCase(),
+        );
+        if (!filter) {
+          console.warn(`Range filter not found: ${columnName}`);
+          return;
+        }
+        const normalisedRange = this.normaliseRange(filter, range);
+        if (normalisedRange) {
+          this.activeFilters.ranges[filter.columnIndex] = normalisedRange;
+        }
+      });
     }
-  }
 
-  fallbackCopyURL(url) {
-    const textArea = document.createElement("textarea");
-    textArea.value = url;
-    textArea.style.position = "fixed";
-    textArea.style.left = "-9999px";
-    textArea.style.top = "-9999px";
-    document.body.appendChild(textArea);
-    textArea.focus();
-    textArea.select();
+    this.filterTable();
 
-    try {
-      const successful = document.execCommand("copy");
-      this.showCopyFeedback(successful);
-    } catch (err) {
-      console.error("Fallback copy failed:", err);
-      this.showCopyFeedback(false);
+    if ("sort" in state) {
+      const sort = state.sort;
+      const columnIndex =
+        typeof sort?.column === "number"
+          ? sort.column
+          : this.findColumnIndex(sort?.column || "");
+      const direction = sort?.direction === "desc" ? "desc" : "asc";
+
+      if (!sort) {
+        this.applySort(null, null);
+      } else if (columnIndex === -1) {
+        console.warn(`Sort column not found: ${sort.column}`);
+      } else if (
+        columnIndex !== this.sortState.columnIndex ||
+        direction !== this.sortState.direction
+      ) {
+        this.applySort(columnIndex, direction);
+      }
     }
 
-    document.body.removeChild(textArea);
+    if (state.itemsPerPage) {
+      this.setItemsPerPage(state.itemsPerPage);
+    }
+
+    if (state.page) {
+      this.goToPage(state.page);
+    }
+
+    this.updateFilterControls();
   }
 
-  showCopyFeedback(success) {
-    const copyButton = document.getElementById("copyFilterLink");
-    if (!copyButton) return;
+  addColumnFilterValue(
+    filter,
+    value,
+    exclude = false,
+    filters = this.activeFilters,
+  ) {
+    // Links and code may still use an alias of the value
+    const filterValue = resolveValueAlias(
+      this.columnConfig,
+      this.getColumnName(filter.columnIndex),
+      String(value),
+    ).toLowerCase();
 
-    if (success) {
-      // Store original content
-      const originalHTML = copyButton.innerHTML;
+    // Only accept values that exist in the column
+    if (!filter.values.some((val) => val.toLowerCase() === filterValue)) {
+      return false;
+    }
 
-      // Show success state
-      copyButton.classList.add("copied");
-      copyButton.innerHTML = '<i class="fas fa-check"></i> Copied!';
-      copyButton.disabled = true;
+    // A value is either included or excluded, never both
+    const [target, other] = exclude
+      ? [filters.excluded, filters.columns]
+      : [filters.columns, filters.excluded];
+    const otherValues = other[filter.columnIndex];
+    if (otherValues?.includes(filterValue)) {
+      otherValues.splice(otherValues.indexOf(filterValue), 1);
+      if (!otherValues.length) {
+        delete other[filter.columnIndex];
+      }
+    }
 
-      // Reset after 2 seconds
-      setTimeout(() => {
-        copyButton.classList.remove("copied");
-        copyButton.innerHTML = originalHTML;
-        copyButton.disabled = false;
-      }, 2000);
-    } else {
-      // Show error message
-      alert("Failed to copy link. Please try again.");
+    // Initialize array if it doesn't exist
+    if (!target[filter.columnIndex]) {
+      target[filter.columnIndex] = [];
+    }
+    // Add value to array if not already present
+    if (!target[filter.columnIndex].includes(filterValue)) {
+      target[filter.columnIndex].push(filterValue);
     }
+    return true;
   }
 
-  clearAllFilters() {
-    // Clear search
-    this.searchInput.value = "";
-    this.activeFilters.search = "";
+  updateFilterControls() {
+    // Bring every control back in line with activeFilters
+    if (this.searchInput) {
+      this.searchInput.value = this.activeFilters.search;
+      this.updateClearButton();
+    }
 
-    // Clear column filters
-    this.activeFilters.columns = {};
     this.columnFilters.forEach((filter) => {
       const select = document.getElementById(filter.selectId);
       if (select) {
         select.value = "all";
-        // Show all options again
-        Array.from(select.options).forEach((option) => {
-          option.style.display = "";
-        });
       }
+      this.updateDropdownOptions(filter.columnIndex);
     });
 
-    this.filterTable();
-    this.updateClearButton();
+    this.updateRangeInputs();
     this.updateFilterPills();
   }
 
-  updateNoResultsMessage(show) {
-    let message = document.querySelector(`.${this.options.noResultsClass}`);
+  refresh() {
+    // In virtual mode, pick up rows that were appended to the table body
+    const tbody = this.table.querySelector("tbody");
+    if (this.virtual && tbody) {
+      const knownRows = new Set(this.virtual.rows);
+      const addedRows = Array.from(tbody.querySelectorAll("tr")).filter(
+        (row) => !knownRows.has(row) && !row.classList.contains(SPACER_CLASS),
+      );
+      this.virtual.rows = [...this.virtual.rows, ...addedRows];
+    }
+    const rows = this.getRows();
 
-    if (show && !message) {
-      message = document.createElement("div");
-      message.className = this.options.noResultsClass;
-      message.textContent = "No matching results found.";
-      this.table.parentNode.insertBefore(message, this.table.nextSibling);
-    } else if (!show && message) {
-      message.remove();
+    // Give new rows an original index after the existing ones
+    let nextIndex =
+      rows.reduce(
+        (max, row) =>
+          Math.max(
+            max,
+            parseInt(row.getAttribute("data-original-index") ?? -1),
+          ),
+        -1,
+      ) + 1;
+    rows.forEach((row) => {
+      if (!row.hasAttribute("data-original-index")) {
+        row.setAttribute("data-original-index", (nextIndex++).toString());
+      }
+    });
+
+    // Values may have changed, so rebuild the row index and detect sort
+    // types, number bounds and the suggestion vocabulary again
+    this.rowIndex.clear();
+    this.columnSortTypes = {};
+    this.searchVocabulary = null;
+    this.getRangeFilters("number").forEach((filter) => {
+      filter.sortType = this.getColumnSortType(filter.columnIndex);
+      this.updateNumberBounds(filter);
+    });
+
+    // Rebuild dropdown options and facets from the current rows
+    this.columnFilters.forEach((filter) => {
+      filter.values = this.getUniqueColumnValues(filter.columnIndex);
+
+      // Drop applied values that are no longer in the column
+      const values = new Set(filter.values.map((val) => val.toLowerCase()));
+      [this.activeFilters.columns, this.activeFilters.excluded].forEach(
+        (columns) => {
+          const applied = (columns[filter.columnIndex] || []).filter((val) =>
+            values.has(val),
+          );
+          if (applied.length) {
+            columns[filter.columnIndex] = applied;
+          } else {
+            delete columns[filter.columnIndex];
+          }
+        },
+      );
+
+      if (filter.style === "checkboxes") {
+        this.renderFacetOptions(filter);
+        return;
+      }
+
+      const select = document.getElementById(filter.selectId);
+      if (!select) return;
+
+      Array.from(select.options).forEach((option) => {
+        if (option.value !== "all") {
+          option.remove();
+        }
+      });
+      filter.values.forEach((val) => {
+        select.add(new Option(val, val.toLowerCase()));
+      });
+    });
+
+    // Re-apply the current sort and filters to the new rows
+    this.resolvePresets();
+    if (this.sortState.direction) {
+      this.applySort(this.sortState.columnIndex, this.sortState.direction);
+    }
+    this.filterTable();
+    this.updateFilterControls();
+  }
+
+  destroy() {
+    this.listenerController.abort();
+    this.filterRun++; // abandons a chunked filterTable() in progress
+    this.filterPending = false;
+    this.highlightedRows.forEach((row) => removeHighlights(row));
+
+    // Restore original row order and visibility
+    const tbody = this.table.querySelector("tbody");
+    if (tbody) {
+      const rows = [...this.getRows()];
+      if (this.virtual) {
+        cancelAnimationFrame(this.virtual.frame);
+        tbody.replaceChildren();
+        rows.forEach((row) => row.removeAttribute("aria-rowindex"));
+        this.table.removeAttribute("aria-rowcount");
+        this.table.classList.remove("table-filter-virtual");
+        this.virtual = null;
+      }
+      rows.sort((a, b) => {
+        const aIndex = parseInt(a.getAttribute("data-original-index") || "0");
+        const bIndex = parseInt(b.getAttribute("data-original-index") || "0");
+        return aIndex - bIndex;
+      });
+      rows.forEach((row) => {
+        row.style.removeProperty("display");
+        if (!row.getAttribute("style")) {
+          row.removeAttribute("style");
+        }
+        row.removeAttribute("data-original-index");
+        tbody.appendChild(row);
+      });
+    }
+
+    // Restore original header markup
+    this.originalHeaders.forEach(({ header, html }) => {
+      header.innerHTML = html;
+      header.classList.remove("sort-asc", "sort-desc");
+      header.removeAttribute("tabindex");
+      header.removeAttribute("aria-sort");
+      if (!header.getAttribute("class")) {
+        header.removeAttribute("class");
+      }
+    });
+
+    // Remove generated markup
+    if (this.filterMarkupGenerated && this.filterContainer) {
+      this.filterContainer.remove();
+    }
+    this.paginationContainer?.remove();
+    this.noResultsMessage?.remove();
+    this.resultsSummary?.remove();
+    this.queryStringNotice?.remove();
+    this.dataStatusMessage?.remove();
+    this.presets.forEach(({ element }) => {
+      element.removeAttribute("aria-pressed");
+    });
+    this.table.removeAttribute("aria-busy");
+
+    if (this.tableAttributeAdded) {
+      this.table.removeAttribute("data-table-filter");
+    }
+
+    instances.delete(this.table);
+    if (window.tableFilterInstance === this) {
+      delete window.tableFilterInstance;
     }
   }
 }
 
 // Auto-initialize on DOMContentLoaded if data-table-filter attribute is present
 document.addEventListener("DOMContentLoaded", () => {
-  const tables = document.querySelectorAll("[data-table-filter]");
-  tables.forEach((table) => {
-    const tableId = table.getAttribute("data-table-id");
-    const selector = tableId
-      ? `#${tableId}`
-      : table.id
-        ? `#${table.id}`
-        : table;
-    const instance = new TableFilter(selector);
+  const configElements = document.querySelectorAll("[data-table-filter]");
+  configElements.forEach((configElement) => {
+    // The attributes either point at a table or sit on the table itself
+    const tableId = configElement.getAttribute("data-table-id");
+    const table = tableId ? document.getElementById(tableId) : configElement;
+
+    if (!table) {
+      console.warn(`Table not found: #${tableId}`);
+      return;
+    }
+
+    // Skip tables that have already been initialised
+    if (TableFilter.getInstance(table)) return;
+
+    const instance = new TableFilter(table, { configElement });
 
-    // Store instance globally for pill close buttons
+    // Keep the first instance available globally for legacy scripts
     if (!window.tableFilterInstance) {
       window.tableFilterInstance = instance;
     }
@@ -0,0 +1,98 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  parseCSV,
+  parseRecords,
+  getDataFormat,
+  normaliseColumns,
+} = require("../src/components/DataSource.js");
+const { createPage, tableMarkup, configMarkup } = require("./dom.js");
+
+test("parseCSV reads quoted fields and skips blank lines", () => {
+  const records = parseCSV(
+    '\uFEFFtitle, notes ,year\r\n"Jones, A","Said ""no""\nthen left",2021\r\n\r\nSmith,,2020\nBrown',
+  );
+  assert.strictEqual(
+    JSON.stringify(records),
+    JSON.stringify([
+      { title: "Jones, A", notes: 'Said "no"\nthen left', year: "2021" },
+      { title: "Smith", notes: "", year: "2020" },
+      { title: "Brown", notes: "", year: "" },
+    ]),
+  );
+  assert.deepStrictEqual(parseCSV(""), []);
+});
+
+test("records are read from JSON arrays or a data array", () => {
+  assert.strictEqual(
+    parseRecords('{"data":[{"a":1},null,2]}', "json").length,
+    1,
+  );
+  assert.throws(() => parseRecords('{"rows":[]}', "json"), /array of records/);
+  assert.strictEqual(parseRecords("a\n1", "csv")[0].a, "1");
+
+  assert.strictEqual(getDataFormat("/findings.CSV?v=2", null), "csv");
+  assert.strictEqual(getDataFormat("/findings", null, "text/csv"), "csv");
+  assert.strictEqual(getDataFormat("/findings.csv", "json"), "json");
+  assert.strictEqual(getDataFormat("/findings", null), "json");
+});
+
+test("normaliseColumns accepts keys, objects and key=Label lists", () => {
+  assert.deepStrictEqual(
+    normaliseColumns("title=Title; year=Year of finding"),
+    [
+      { key: "title", label: "Title", sortType: null, link: null },
+      { key: "year", label: "Year of finding", sortType: null, link: null },
+    ],
+  );
+  assert.deepStrictEqual(
+    normaliseColumns(["title", { key: "url", link: "url" }, { label: "x" }]),
+    [
+      { key: "title", label: "title", sortType: null, link: null },
+      { key: "url", label: "url", sortType: null, link: "url" },
+    ],
+  );
+});
+
+test("reload() drops filter values that are no longer in the data", async () => {
+  const window = createPage(
+    configMarkup("findings", { "column-filters": "Location" }) +
+      tableMarkup("findings", ["Title", "Location"], []),
+  );
+  const { document } = window;
+  const filter = new window.TableFilter(document.getElementById("findings"), {
+    configElement: document.querySelector("[data-table-filter]"),
+    dataSource: {
+      records: [
+        { Title: "Jones", Location: "Darwin" },
+        { Title: "Smith", Location: "Alice Springs" },
+        { Title: "Brown", Location: "Katherine" },
+      ],
+    },
+  });
+  await filter.reload();
+  filter.setState({
+    columns: { Location: ["Darwin"] },
+    excluded: { Location: ["Katherine"] },
+  });
+  assert.strictEqual(filter.getMatchingRows().length, 1);
+
+  filter.dataSource.records = [
+    { Title: "Smith", Location: "Alice Springs" },
+    { Title: "Brown", Location: "Katherine" },
+    { Title: "Green", Location: "Palmerston" },
+  ];
+  await filter.reload();
+
+  // Darwin is gone, so only the Katherine exclusion still applies
+  const state = filter.getState();
+  assert.strictEqual(state.columns.Location, undefined);
+  assert.strictEqual(state.excluded.Location.join(), "katherine");
+  assert.strictEqual(filter.getMatchingRows().length, 2);
+  assert.strictEqual(
+    document.querySelectorAll(".filter-pill-toggle").length,
+    1,
+  );
+  assert.ok(!window.location.search.includes("darwin"));
+  filter.destroy();
+});
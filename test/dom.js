@@ -0,0 +1,52 @@
+/**
+ * Test DOM
+ * Loads the built bundle into a jsdom window, so tests run against the same
+ * file the pages use. Run `npm run build` first (npm test does this)
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { JSDOM } = require("jsdom");
+
+const bundle = fs.readFileSync(
+  path.join(__dirname, "..", "dist", "table-filter.js"),
+  "utf8",
+);
+
+function createPage(body, { url = "https://example.gov.au/findings" } = {}) {
+  const dom = new JSDOM(`<!doctype html><html><body>${body}</body></html>`, {
+    url,
+    runScripts: "outside-only",
+    pretendToBeVisual: true,
+  });
+  dom.window.eval(bundle);
+  return dom.window;
+}
+
+// A table with a header row and one body row per record
+function tableMarkup(id, headers, records) {
+  const head = headers.map((header) => `<th>${header}</th>`).join("");
+  const rows = records
+    .map(
+      (cells) => `<tr>${cells.map((cell) => `<td>${cell}</td>`).join("")}</tr>`,
+    )
+    .join("");
+  return `<table id="${id}"><thead><tr>${head}</tr></thead><tbody>${rows}</tbody></table>`;
+}
+
+// The data-table-filter element that configures a table, e.g.
+// configMarkup("findings", { "column-filters": "Location" })
+function configMarkup(tableId, attributes = {}) {
+  const extra = Object.entries(attributes)
+    .map(([name, value]) => ` data-${name}='${value}'`)
+    .join("");
+  return `<div data-table-filter data-table-id="${tableId}"${extra}></div>`;
+}
+
+function nextFrame(window) {
+  return new Promise((resolve) =>
+    window.requestAnimationFrame(() => resolve()),
+  );
+}
+
+module.exports = { createPage, tableMarkup, configMarkup, nextFrame };
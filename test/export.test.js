@@ -0,0 +1,55 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { toCSV, toJSON } = require("../src/components/Export.js");
+
+test("toCSV quotes fields with commas, quotes and line breaks", () => {
+  const csv = toCSV(
+    ["Title", "Notes"],
+    [
+      { Title: "Jones, A", Notes: 'Said "no"' },
+      { Title: "Smith", Notes: "Line one\nLine two" },
+      { Title: "Brown" },
+    ],
+  );
+  assert.strictEqual(
+    csv,
+    [
+      "Title,Notes",
+      '"Jones, A","Said ""no"""',
+      'Smith,"Line one\nLine two"',
+      "Brown,",
+    ].join("\r\n"),
+  );
+});
+
+test("toCSV defuses values a spreadsheet would run as formulas", () => {
+  const csv = toCSV(
+    ["Value"],
+    [
+      { Value: "=SUM(A1)" },
+      { Value: "+61 8 8999 0000" },
+      { Value: "@cmd" },
+      { Value: "-12.5" },
+      { Value: "=1+1, then" },
+    ],
+  );
+  assert.deepStrictEqual(csv.split("\r\n"), [
+    "Value",
+    "'=SUM(A1)",
+    "'+61 8 8999 0000",
+    "'@cmd",
+    "-12.5",
+    `"'=1+1, then"`,
+  ]);
+});
+
+test("toJSON keeps the table's field order and fills missing fields", () => {
+  const json = toJSON(
+    ["Title", "Year"],
+    [{ Year: "2021", Title: "Jones" }, {}],
+  );
+  assert.strictEqual(
+    JSON.stringify(JSON.parse(json)),
+    '[{"Title":"Jones","Year":"2021"},{"Title":"","Year":""}]',
+  );
+});
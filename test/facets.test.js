@@ -0,0 +1,73 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { createPage, tableMarkup, configMarkup } = require("./dom.js");
+
+const records = [
+  ["Inquest into the death of Jones", "Darwin"],
+  ["Inquest into the death of Smith", "Alice Springs"],
+  ["Inquest into the death of Brown", "Darwin"],
+];
+
+function createTable(attributes = {}) {
+  const window = createPage(
+    configMarkup("findings", {
+      "column-filters": "Location",
+      "filter-style": "checkboxes",
+      ...attributes,
+    }) + tableMarkup("findings", ["Title", "Location"], records),
+  );
+  const table = window.document.getElementById("findings");
+  const filter = new window.TableFilter(table, {
+    configElement: window.document.querySelector("[data-table-filter]"),
+  });
+  const option = (value) =>
+    window.document
+      .querySelector(`.facet-option input[value="${value}"]`)
+      .closest(".facet-option");
+  return { window, filter, option };
+}
+
+test("ticking a value includes it", () => {
+  const { window, filter, option } = createTable();
+  const checkbox = option("darwin").querySelector("input");
+  checkbox.checked = true;
+  checkbox.dispatchEvent(new window.Event("change", { bubbles: true }));
+
+  assert.strictEqual(filter.getMatchingRows().length, 2);
+  assert.strictEqual(
+    option("darwin").querySelector(".facet-count").textContent,
+    "(2)",
+  );
+  assert.strictEqual(
+    option("alice springs").querySelector(".facet-count").textContent,
+    "(1)",
+  );
+  filter.destroy();
+});
+
+test("an excluded value is unticked and marked", () => {
+  const { window, filter, option } = createTable();
+  filter.setState({ excluded: { Location: ["Darwin"] } });
+
+  const darwin = option("darwin");
+  const checkbox = darwin.querySelector("input");
+  assert.strictEqual(checkbox.checked, false);
+  assert.ok(darwin.classList.contains("facet-option-excluded"));
+  assert.strictEqual(checkbox.getAttribute("aria-label"), "Darwin (excluded)");
+
+  // Ticking it includes the value instead
+  checkbox.checked = true;
+  checkbox.dispatchEvent(new window.Event("change", { bubbles: true }));
+  assert.strictEqual(filter.getMatchingRows().length, 2);
+  assert.ok(!option("darwin").classList.contains("facet-option-excluded"));
+  assert.ok(option("darwin").querySelector("input").checked);
+  filter.destroy();
+});
+
+test('"none" columns tick the values they exclude', () => {
+  const { filter, option } = createTable({ "column-match": "Location=none" });
+  filter.setState({ excluded: { Location: ["Darwin"] } });
+  assert.ok(option("darwin").querySelector("input").checked);
+  assert.ok(!option("darwin").classList.contains("facet-option-excluded"));
+  filter.destroy();
+});
@@ -0,0 +1,41 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { createPage, tableMarkup, configMarkup } = require("./dom.js");
+
+test("toggling a pill keeps focus on the toggle for the same value", () => {
+  const window = createPage(
+    configMarkup("findings", { "column-filters": "Location" }) +
+      tableMarkup(
+        "findings",
+        ["Title", "Location"],
+        [
+          ["Inquest into the death of Jones", "Darwin"],
+          ["Inquest into the death of Smith", "Alice Springs"],
+        ],
+      ),
+  );
+  const { document } = window;
+  const filter = new window.TableFilter(document.getElementById("findings"), {
+    configElement: document.querySelector("[data-table-filter]"),
+  });
+  filter.setState({ columns: { Location: ["Darwin", "Alice Springs"] } });
+
+  const toggles = () =>
+    Array.from(document.querySelectorAll(".filter-pill-toggle"));
+  const first = toggles()[0];
+  const value = first.getAttribute("data-filter-value");
+  first.focus();
+  first.click();
+
+  // The excluded pill moves after the included one, so the index changes
+  assert.notStrictEqual(toggles()[0].getAttribute("data-filter-value"), value);
+  assert.strictEqual(
+    document.activeElement.getAttribute("data-filter-value"),
+    value,
+  );
+  assert.strictEqual(
+    document.activeElement.getAttribute("aria-pressed"),
+    "true",
+  );
+  filter.destroy();
+});
@@ -0,0 +1,48 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { createPage, tableMarkup } = require("./dom.js");
+
+const records = Array.from({ length: 200 }, (_, index) => [
+  `Inquest finding ${index}`,
+  index % 2 ? "Darwin" : "Alice Springs",
+]);
+
+function createTable(options) {
+  const window = createPage(
+    tableMarkup("findings", ["Title", "Location"], records),
+  );
+  const table = window.document.getElementById("findings");
+  const filter = new window.TableFilter(table, options);
+  const rowsWithMarks = () =>
+    filter.getRows().filter((row) => row.querySelector("mark"));
+  return { filter, rowsWithMarks };
+}
+
+test("only rows on the current page are highlighted", () => {
+  const { filter, rowsWithMarks } = createTable({ itemsPerPage: 10 });
+  filter.setState({ search: "darwin" });
+  assert.strictEqual(filter.getMatchingRows().length, 100);
+  assert.deepStrictEqual(rowsWithMarks(), filter.getRenderedRows());
+  assert.strictEqual(rowsWithMarks().length, 10);
+
+  // Paging moves the marks to the rows now shown
+  filter.goToPage(3);
+  assert.deepStrictEqual(
+    rowsWithMarks(),
+    filter.getMatchingRows().slice(20, 30),
+  );
+
+  // Clearing the search removes them
+  filter.setState({ search: "" });
+  assert.strictEqual(rowsWithMarks().length, 0);
+  filter.destroy();
+});
+
+test("only rows in the virtual window are highlighted", () => {
+  const { filter, rowsWithMarks } = createTable({ virtualRows: true });
+  filter.setState({ search: "finding" });
+  const attached = filter.getRenderedRows();
+  assert.ok(attached.length > 0 && attached.length < records.length);
+  assert.deepStrictEqual(rowsWithMarks(), attached);
+  filter.destroy();
+});
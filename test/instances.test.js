@@ -0,0 +1,71 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { createPage, tableMarkup, configMarkup } = require("./dom.js");
+
+const headers = ["Title", "Location"];
+const records = [
+  ["Inquest into the death of Jones", "Darwin"],
+  ["Inquest into the death of Smith", "Alice Springs"],
+];
+
+function createTwoTables(url) {
+  const window = createPage(
+    ["first", "second"]
+      .map(
+        (id) =>
+          configMarkup(id, { "column-filters": "Location" }) +
+          tableMarkup(id, headers, records),
+      )
+      .join(""),
+    { url },
+  );
+  const create = (id) =>
+    new window.TableFilter(window.document.getElementById(id), {
+      configElement: window.document.querySelector(`[data-table-id="${id}"]`),
+    });
+  return { window, create };
+}
+
+test("later instances get numbered element IDs", () => {
+  const { create } = createTwoTables();
+  const first = create("first");
+  const second = create("second");
+  assert.strictEqual(first.getElementId("searchInput"), "searchInput");
+  assert.strictEqual(second.getElementId("searchInput"), "searchInput-2");
+  first.destroy();
+  second.destroy();
+});
+
+test("a re-created instance gets its IDs back", () => {
+  const { window, create } = createTwoTables();
+  const first = create("first");
+  let second = create("second");
+
+  second.destroy();
+  second = create("second");
+  assert.strictEqual(second.idSuffix, "-2");
+  assert.ok(window.document.getElementById("searchInput-2"));
+
+  // The unsuffixed IDs are free again once the first table is destroyed
+  first.destroy();
+  const recreated = create("first");
+  assert.strictEqual(recreated.idSuffix, "");
+  assert.ok(window.document.getElementById("searchInput"));
+  recreated.destroy();
+  second.destroy();
+});
+
+test("the link notice stops listening once destroyed", () => {
+  const { window, create } = createTwoTables(
+    "https://example.gov.au/findings?location=Katherine",
+  );
+  const filter = create("first");
+  const dismiss = filter.queryStringNotice.querySelector("button");
+
+  let updates = 0;
+  filter.updateQueryStringNotice = () => updates++;
+  filter.destroy();
+  dismiss.click();
+  assert.strictEqual(updates, 0);
+  assert.notStrictEqual(window.document.activeElement, filter.searchInput);
+});
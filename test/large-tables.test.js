@@ -0,0 +1,78 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { createPage, tableMarkup } = require("./dom.js");
+
+const ROW_COUNT = 3000;
+
+// Every 100th row is in Darwin, so a search for it matches 30 rows
+function createLargeTable(options = {}) {
+  const records = Array.from({ length: ROW_COUNT }, (_, index) => [
+    `Finding ${index}`,
+    index % 100 === 0 ? "Darwin" : "Alice Springs",
+  ]);
+  const window = createPage(
+    tableMarkup("findings", ["Title", "Location"], records),
+  );
+  const table = window.document.getElementById("findings");
+  const filter = new window.TableFilter(table, {
+    itemsPerPage: 10,
+    ...options,
+  });
+  const visibleRows = () =>
+    Array.from(table.tBodies[0].rows).filter(
+      (row) => row.style.display !== "none",
+    );
+  return { window, table, filter, visibleRows };
+}
+
+test("a large table is paginated as soon as it initialises", () => {
+  const { filter, visibleRows } = createLargeTable();
+  assert.strictEqual(filter.filteredRows.size, ROW_COUNT);
+  assert.strictEqual(visibleRows().length, 10);
+  assert.strictEqual(filter.getPageCount(), ROW_COUNT / 10);
+  filter.destroy();
+});
+
+test("setState on a large table updates the results straight away", () => {
+  const { filter, visibleRows } = createLargeTable();
+
+  filter.setState({ search: "darwin" });
+  assert.strictEqual(filter.getMatchingRows().length, 30);
+  assert.strictEqual(visibleRows().length, 10);
+  assert.strictEqual(filter.getState().search, "darwin");
+
+  // The header row plus one line per matching row
+  const csv = filter.exportRows("csv").trim().split(/\r?\n/);
+  assert.strictEqual(csv.length, 31);
+  assert.ok(csv.slice(1).every((line) => line.includes("Darwin")));
+
+  // The page is clamped against the new results, not the whole table
+  filter.setState({ page: 50 });
+  assert.strictEqual(filter.getState().page, 3);
+  assert.strictEqual(visibleRows().length, 10);
+  filter.destroy();
+});
+
+test("typing with chunkSize set filters in chunks", async () => {
+  const { window, filter } = createLargeTable({
+    chunkSize: 500,
+    searchDelay: 0,
+  });
+  let filterEvents = 0;
+  window.document.addEventListener("tablefilter:filter", () => filterEvents++);
+
+  filter.searchInput.value = "darwin";
+  filter.searchInput.dispatchEvent(new window.Event("input"));
+  assert.strictEqual(filter.filterPending, true);
+  assert.strictEqual(filterEvents, 0);
+
+  // Reading the results finishes the run rather than returning stale rows
+  assert.strictEqual(filter.getMatchingRows().length, 30);
+  assert.strictEqual(filter.filterPending, false);
+  assert.strictEqual(filterEvents, 1);
+
+  // The abandoned chunks do not finish a second time
+  await new Promise((resolve) => setTimeout(resolve, 200));
+  assert.strictEqual(filterEvents, 1);
+  filter.destroy();
+});
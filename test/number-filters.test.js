@@ -0,0 +1,59 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { createPage, tableMarkup, configMarkup } = require("./dom.js");
+
+function createTable(amounts) {
+  const window = createPage(
+    configMarkup("grants", {
+      "number-filters": "Amount",
+      "number-sliders": "true",
+    }) +
+      tableMarkup(
+        "grants",
+        ["Recipient", "Amount"],
+        amounts.map((amount, index) => [`Recipient ${index}`, amount]),
+      ),
+  );
+  const table = window.document.getElementById("grants");
+  const filter = new window.TableFilter(table, {
+    configElement: window.document.querySelector("[data-table-filter]"),
+  });
+  const [minSlider, maxSlider] = window.document.querySelectorAll(
+    ".range-filter-slider input",
+  );
+  const errors = [];
+  window.addEventListener("error", (event) => errors.push(event.error));
+  return { window, filter, minSlider, maxSlider, errors };
+}
+
+test("the sliders set an open-ended range", () => {
+  const { window, filter, minSlider, maxSlider } = createTable([
+    "$10",
+    "$20",
+    "$30",
+    "$40",
+  ]);
+  assert.strictEqual(minSlider.min, "10");
+  assert.strictEqual(maxSlider.max, "40");
+
+  minSlider.value = "25";
+  minSlider.dispatchEvent(new window.Event("change"));
+  const { min, max } = filter.getState().ranges.Amount;
+  assert.deepStrictEqual([min, max], [25, null]);
+  assert.strictEqual(filter.getMatchingRows().length, 2);
+  filter.destroy();
+});
+
+test("a column without numbers hides the sliders", () => {
+  const { window, filter, minSlider, errors } = createTable([
+    "n/a",
+    "TBA",
+    "n/a",
+  ]);
+  assert.ok(minSlider.closest(".range-filter-slider").hidden);
+
+  minSlider.dispatchEvent(new window.Event("change"));
+  assert.strictEqual(errors.length, 0);
+  assert.strictEqual(filter.getMatchingRows().length, 3);
+  filter.destroy();
+});
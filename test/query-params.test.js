@@ -0,0 +1,68 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  toParamSlug,
+  buildParamKeys,
+  findParamColumn,
+} = require("../src/components/QueryParams.js");
+const { createPage, tableMarkup, configMarkup } = require("./dom.js");
+
+test("toParamSlug makes URL-safe keys from header text", () => {
+  assert.strictEqual(toParamSlug("Year of finding"), "year-of-finding");
+  assert.strictEqual(toParamSlug("  Café / Location "), "cafe-location");
+  assert.strictEqual(toParamSlug("???"), "");
+});
+
+test("buildParamKeys avoids reserved keys and prefers configured keys", () => {
+  const { keys, lookup } = buildParamKeys([
+    { name: "Page", param: null, aliases: [] },
+    { name: "Year of finding", param: "year", aliases: ["finding-year"] },
+    { name: "???", param: null, aliases: [] },
+    { name: "Year", param: null, aliases: [] },
+  ]);
+  assert.deepStrictEqual(keys, ["page-column", "year", "column-3", "year"]);
+
+  // The configured key and alias belong to column 1, not the "Year" header
+  assert.strictEqual(findParamColumn(lookup, "YEAR"), 1);
+  assert.strictEqual(findParamColumn(lookup, "finding-year"), 1);
+  assert.strictEqual(findParamColumn(lookup, "Year of finding"), 1);
+  assert.strictEqual(findParamColumn(lookup, "page-column"), 0);
+  assert.strictEqual(findParamColumn(lookup, "utm_source"), -1);
+});
+
+test("a parameter prefix keeps the table's keys apart from the page's", () => {
+  const window = createPage(
+    configMarkup("findings", {
+      "column-filters": "Location",
+      "param-prefix": "findings-",
+    }) +
+      tableMarkup(
+        "findings",
+        ["Title", "Location"],
+        [
+          ["Jones", "Darwin"],
+          ["Smith", "Alice Springs"],
+          ["Brown", "Katherine"],
+        ],
+      ),
+    {
+      url: "https://example.gov.au/findings?page=3&location=katherine&findings-location=darwin&findings-search=jones",
+    },
+  );
+  const { document } = window;
+  const filter = new window.TableFilter(document.getElementById("findings"), {
+    configElement: document.querySelector("[data-table-filter]"),
+  });
+
+  // Only the prefixed keys are read
+  assert.strictEqual(filter.getMatchingRows().length, 1);
+  assert.strictEqual(filter.getState().search, "jones");
+  assert.strictEqual(filter.getState().columns.Location.join(), "darwin");
+
+  // The page's own parameters are kept in filter links
+  const params = new URL(filter.generateFilterURL()).searchParams;
+  assert.strictEqual(params.get("page"), "3");
+  assert.strictEqual(params.get("location"), "katherine");
+  assert.strictEqual(params.get("findings-location"), "darwin");
+  filter.destroy();
+});
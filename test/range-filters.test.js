@@ -0,0 +1,140 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  getDatePresetRange,
+  parseDateRange,
+  serialiseDateRange,
+  formatDateRange,
+  isDateInRange,
+  parseNumericValue,
+  getNumberBounds,
+  parseNumberRange,
+  serialiseNumberRange,
+  formatNumberRange,
+  isNumberInRange,
+} = require("../src/components/RangeFilters.js");
+
+test("parseDateRange reads dates, whole years and presets", () => {
+  assert.deepStrictEqual(parseDateRange("2019-01-01..2022-06-30"), {
+    from: "2019-01-01",
+    to: "2022-06-30",
+  });
+  assert.deepStrictEqual(parseDateRange("2019..2022"), {
+    from: "2019-01-01",
+    to: "2022-12-31",
+  });
+  assert.deepStrictEqual(parseDateRange("2021"), {
+    from: "2021-01-01",
+    to: "2021-12-31",
+  });
+  assert.deepStrictEqual(parseDateRange("..2020-03-01"), {
+    from: "",
+    to: "2020-03-01",
+  });
+
+  // Ends are swapped into order and invalid dates are dropped
+  assert.deepStrictEqual(parseDateRange("2022-06-30..2019-01-01"), {
+    from: "2019-01-01",
+    to: "2022-06-30",
+  });
+  assert.deepStrictEqual(parseDateRange("2020-13-01..2021-01-01"), {
+    from: "",
+    to: "2021-01-01",
+  });
+  assert.strictEqual(parseDateRange("soon"), null);
+  assert.strictEqual(parseDateRange(""), null);
+
+  const thisYear = new Date().getFullYear();
+  assert.deepStrictEqual(parseDateRange("this-year"), {
+    from: `${thisYear}-01-01`,
+    to: `${thisYear}-12-31`,
+  });
+});
+
+test("date presets are relative to today", () => {
+  const today = new Date(2024, 2, 15);
+  assert.deepStrictEqual(getDatePresetRange("last-12-months", today), {
+    from: "2023-03-16",
+    to: "2024-03-15",
+  });
+  assert.deepStrictEqual(getDatePresetRange("last-year", today), {
+    from: "2023-01-01",
+    to: "2023-12-31",
+  });
+  assert.strictEqual(getDatePresetRange("next-year", today), null);
+});
+
+test("date ranges serialise and format whole years compactly", () => {
+  const years = parseDateRange("2019..2022");
+  assert.strictEqual(serialiseDateRange(years), "2019..2022");
+  assert.strictEqual(formatDateRange(years), "2019–2022");
+  assert.strictEqual(serialiseDateRange(parseDateRange("2021")), "2021");
+
+  const range = { from: "2020-03-01", to: "" };
+  assert.strictEqual(serialiseDateRange(range), "2020-03-01..");
+  assert.strictEqual(formatDateRange(range), "from 1 Mar 2020");
+  assert.strictEqual(
+    formatDateRange({ from: "", to: "2020-03-01" }),
+    "until 1 Mar 2020",
+  );
+});
+
+test("isDateInRange includes both ends and skips undated rows", () => {
+  const range = { from: "2020-01-01", to: "2020-12-31" };
+  assert.ok(isDateInRange("1 January 2020", range));
+  assert.ok(isDateInRange("31/12/2020", range));
+  assert.ok(!isDateInRange("1 January 2021", range));
+  assert.ok(!isDateInRange("TBA", range));
+  assert.ok(isDateInRange("1 January 1990", { from: "", to: "2020-01-01" }));
+});
+
+test("parseNumberRange reads either end and swaps them into order", () => {
+  assert.deepStrictEqual(parseNumberRange("100..2500"), {
+    min: 100,
+    max: 2500,
+  });
+  assert.deepStrictEqual(parseNumberRange("2500..100"), {
+    min: 100,
+    max: 2500,
+  });
+  assert.deepStrictEqual(parseNumberRange("..-5"), { min: null, max: -5 });
+  assert.deepStrictEqual(parseNumberRange("abc..10"), { min: null, max: 10 });
+  assert.strictEqual(parseNumberRange(".."), null);
+  assert.strictEqual(parseNumberRange(""), null);
+
+  assert.strictEqual(serialiseNumberRange({ min: 100, max: null }), "100..");
+});
+
+test("numeric values are read with the column's sort type", () => {
+  assert.strictEqual(parseNumericValue("$1,200.00", "currency"), 1200);
+  assert.strictEqual(parseNumericValue("2 KB", "filesize"), 2048);
+  assert.strictEqual(parseNumericValue("1,500", "text"), 1500);
+  assert.ok(isNaN(parseNumericValue("N/A", "number")));
+
+  assert.deepStrictEqual(getNumberBounds([5, NaN, -2, 10]), {
+    min: -2,
+    max: 10,
+  });
+  assert.strictEqual(getNumberBounds([NaN]), null);
+});
+
+test("number ranges format by sort type and match inclusively", () => {
+  assert.strictEqual(
+    formatNumberRange({ min: 1000, max: 2500.5 }, "currency"),
+    "$1,000 – $2,500.50",
+  );
+  assert.strictEqual(
+    formatNumberRange({ min: 1024 ** 2, max: null }, "filesize"),
+    "1 MB or more",
+  );
+  assert.strictEqual(
+    formatNumberRange({ min: null, max: -3 }, "number"),
+    "up to -3",
+  );
+
+  const range = { min: 10, max: 20 };
+  assert.ok(isNumberInRange(10, range));
+  assert.ok(isNumberInRange(20, range));
+  assert.ok(!isNumberInRange(21, range));
+  assert.ok(!isNumberInRange(NaN, { min: null, max: 20 }));
+});
@@ -0,0 +1,84 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  toColumnKey,
+  parseSearchQuery,
+  groupSearchTerms,
+  matchesSearchGroups,
+  removeSearchToken,
+} = require("../src/components/SearchQuery.js");
+
+const summarise = (tokens) =>
+  tokens.map((token) =>
+    token.type === "or"
+      ? "OR"
+      : [
+          token.exclude ? "-" : "",
+          token.column ? `${token.column}:` : "",
+          token.phrase ? `"${token.value}"` : token.value,
+        ].join(""),
+  );
+
+test("parseSearchQuery splits words, phrases, exclusions and columns", () => {
+  assert.deepStrictEqual(
+    summarise(
+      parseSearchQuery(
+        'Coroner  "Death  in Custody" -police year:2021 -location:"Alice Springs"',
+      ),
+    ),
+    [
+      "coroner",
+      '"death in custody"',
+      "-police",
+      "year:2021",
+      '-location:"alice springs"',
+    ],
+  );
+
+  const [phrase] = parseSearchQuery('"Death in');
+  assert.strictEqual(phrase.text, "Death in");
+  assert.strictEqual(phrase.phrase, true);
+
+  assert.deepStrictEqual(parseSearchQuery('  ""  '), []);
+});
+
+test("only an upper-case OR joins terms", () => {
+  const tokens = parseSearchQuery("darwin OR katherine or palmerston");
+  assert.deepStrictEqual(summarise(tokens), [
+    "darwin",
+    "OR",
+    "katherine",
+    "or",
+    "palmerston",
+  ]);
+  assert.deepStrictEqual(
+    groupSearchTerms(tokens).map((group) => group.map((term) => term.value)),
+    [["darwin", "katherine"], ["or"], ["palmerston"]],
+  );
+
+  // A leading OR has nothing to join
+  assert.strictEqual(groupSearchTerms(parseSearchQuery("OR darwin")).length, 1);
+});
+
+test("matchesSearchGroups ANDs groups and ORs the terms within them", () => {
+  const groups = groupSearchTerms(
+    parseSearchQuery("darwin OR katherine -police"),
+  );
+  const matches = (text) => matchesSearchGroups(groups, () => text);
+
+  assert.ok(matches("inquest in darwin"));
+  assert.ok(matches("inquest in katherine"));
+  assert.ok(!matches("police inquest in darwin"));
+  assert.ok(!matches("inquest in palmerston"));
+});
+
+test("removeSearchToken drops ORs left dangling", () => {
+  const tokens = parseSearchQuery('darwin OR "alice springs" police');
+  assert.strictEqual(removeSearchToken(tokens, 0), '"alice springs" police');
+  assert.strictEqual(removeSearchToken(tokens, 3), 'darwin OR "alice springs"');
+});
+
+test("toColumnKey ignores case, spacing and punctuation", () => {
+  assert.strictEqual(toColumnKey("Year of finding"), "yearoffinding");
+  assert.strictEqual(toColumnKey("year_of-finding"), "yearoffinding");
+});
@@ -0,0 +1,51 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { createPage, tableMarkup, configMarkup } = require("./dom.js");
+
+const records = [
+  ["Inquest into the death of Patrick O'Brien", "Alice Springs"],
+  ["Inquest into the death of Wauchope-Dirdi", "Darwin"],
+  ["Media release about the coroner", "Darwin"],
+];
+
+function createTable(attributes = {}) {
+  const window = createPage(
+    configMarkup("findings", { "column-filters": "Location", ...attributes }) +
+      tableMarkup("findings", ["Title", "Location"], records),
+  );
+  const table = window.document.getElementById("findings");
+  const filter = new window.TableFilter(table, {
+    configElement: window.document.querySelector("[data-table-filter]"),
+  });
+  const suggestion = () =>
+    window.document.querySelector(".table-filter-suggestion");
+  return { filter, suggestion };
+}
+
+test("exact mode suggests a word spelled as it appears", () => {
+  const { filter, suggestion } = createTable();
+  filter.setState({ search: "o'brian" });
+  assert.strictEqual(suggestion().textContent, "o'brien");
+
+  suggestion().click();
+  assert.strictEqual(filter.getMatchingRows().length, 1);
+  assert.strictEqual(suggestion(), null);
+  filter.destroy();
+});
+
+test("normalised mode suggests folded words", () => {
+  const { filter, suggestion } = createTable({ "search-mode": "normalised" });
+  filter.setState({ search: "obrian" });
+  assert.strictEqual(suggestion().textContent, "obrien");
+  suggestion().click();
+  assert.strictEqual(filter.getMatchingRows().length, 1);
+  filter.destroy();
+});
+
+test("no suggestion is offered when it would still match nothing", () => {
+  const { filter, suggestion } = createTable();
+  filter.setState({ search: "o'brian", columns: { Location: ["Darwin"] } });
+  assert.strictEqual(filter.getMatchingRows().length, 0);
+  assert.strictEqual(suggestion(), null);
+  filter.destroy();
+});
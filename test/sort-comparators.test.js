@@ -0,0 +1,78 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  parseDate,
+  parseNumber,
+  parseCurrency,
+  parseFileSize,
+  detectSortType,
+  compareValues,
+} = require("../src/components/SortComparators.js");
+
+test("parseDate reads ISO, day-first and written dates", () => {
+  const expected = Date.UTC(2021, 9, 12);
+  [
+    "2021-10-12",
+    "2021-10-12T09:30:00",
+    "12/10/2021",
+    "12.10.21",
+    "12 October 2021",
+    "Tuesday 12th Oct. 2021",
+    "October 12, 2021",
+    "12 October 2021 Agency response report",
+  ].forEach((text) => assert.strictEqual(parseDate(text), expected, text));
+
+  assert.strictEqual(parseDate("October 2021"), Date.UTC(2021, 9, 1));
+  assert.ok(isNaN(parseDate("32/10/2021")));
+  assert.ok(isNaN(parseDate("TBA")));
+});
+
+test("parseNumber, parseCurrency and parseFileSize", () => {
+  assert.strictEqual(parseNumber("1,234.5"), 1234.5);
+  assert.strictEqual(parseNumber("−12%"), -12);
+  assert.ok(isNaN(parseNumber("12,34")));
+  assert.ok(isNaN(parseNumber("-")));
+
+  assert.strictEqual(parseCurrency("$1,200.50"), 1200.5);
+  assert.strictEqual(parseCurrency("($1,200.00)"), -1200);
+  assert.strictEqual(parseCurrency("-A$5"), -5);
+  assert.strictEqual(parseCurrency("AUD 30"), 30);
+  assert.ok(isNaN(parseCurrency("30")));
+
+  assert.strictEqual(parseFileSize("2 KB"), 2048);
+  assert.strictEqual(parseFileSize("PDF (1.5 MB)"), 1.5 * 1024 ** 2);
+  assert.ok(isNaN(parseFileSize("big")));
+});
+
+test("detectSortType tolerates a few stray values", () => {
+  const dates = ["1 May 2020", "2 June 2021", "3 July 2022", "4 May 2023"];
+  assert.strictEqual(detectSortType([...dates, "TBA"]), "date");
+  assert.strictEqual(detectSortType(["$5", "$10", "($2)"]), "currency");
+  assert.strictEqual(detectSortType(["1 MB", "20 KB"]), "filesize");
+  assert.strictEqual(detectSortType(["10", "9", "1,000"]), "number");
+  assert.strictEqual(detectSortType(["Item 10", "Item 9"]), "natural");
+  assert.strictEqual(detectSortType(["Darwin", "", "Alice"]), "text");
+  assert.strictEqual(detectSortType([]), "text");
+});
+
+test("compareValues sorts by type and puts unparseable values last", () => {
+  const sort = (values, type) =>
+    [...values].sort((a, b) => compareValues(a, b, type));
+
+  assert.deepStrictEqual(sort(["10", "N/A", "9", "-1"], "number"), [
+    "-1",
+    "9",
+    "10",
+    "N/A",
+  ]);
+  assert.deepStrictEqual(
+    sort(["3 July 2022", "TBA", "1 May 2020", "Pending"], "date"),
+    ["1 May 2020", "3 July 2022", "Pending", "TBA"],
+  );
+  assert.deepStrictEqual(sort(["Item 10", "item 9", "Item 1"], "natural"), [
+    "Item 1",
+    "item 9",
+    "Item 10",
+  ]);
+  assert.deepStrictEqual(sort(["b", "A", "a"], "text"), ["A", "a", "b"]);
+});
@@ -0,0 +1,54 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  getStorageKey,
+  readStorage,
+  writeStorage,
+} = require("../src/components/StateStorage.js");
+
+function useStorage(storage) {
+  global.window = { localStorage: storage };
+}
+
+function memoryStorage() {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+  };
+}
+
+test.afterEach(() => {
+  delete global.window;
+});
+
+test("getStorageKey keeps pages and tables apart", () => {
+  assert.strictEqual(
+    getStorageKey("/findings", "findings-table", "state"),
+    "table-filter:/findings:findings-table:state",
+  );
+});
+
+test("state is written and read back as JSON", () => {
+  useStorage(memoryStorage());
+  const key = getStorageKey("/findings", "findings-table", "views");
+  assert.deepStrictEqual(readStorage(key, []), []);
+
+  const views = [{ name: "Darwin", state: { search: "inquest" } }];
+  assert.strictEqual(writeStorage(key, views), true);
+  assert.deepStrictEqual(readStorage(key, []), views);
+});
+
+test("storage failures fall back and are reported", (t) => {
+  const warn = t.mock.method(console, "warn", () => {});
+  useStorage({
+    getItem: () => "{not json",
+    setItem: () => {
+      throw new Error("QuotaExceededError");
+    },
+  });
+
+  assert.strictEqual(readStorage("key", null), null);
+  assert.strictEqual(writeStorage("key", { search: "x" }), false);
+  assert.strictEqual(warn.mock.callCount(), 2);
+});
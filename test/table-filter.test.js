@@ -0,0 +1,50 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { createPage, tableMarkup } = require("./dom.js");
+
+const records = [
+  ["Inquest into the death of Jones", "Darwin", "2021"],
+  ["Inquest into the death of Smith", "Alice Springs", "2019"],
+  ["Media release about Darwin", "Darwin", "2020"],
+];
+
+function createTable(options = {}) {
+  const window = createPage(
+    tableMarkup("findings", ["Title", "Location", "Year"], records),
+  );
+  const table = window.document.getElementById("findings");
+  const filter = new window.TableFilter(table, options);
+  return { window, table, filter };
+}
+
+test("the filter markup is inserted before the table", () => {
+  const { window, table, filter } = createTable();
+  assert.strictEqual(window.TableFilter.getInstance(table), filter);
+  assert.ok(filter.filterContainer.contains(filter.searchInput));
+  assert.ok(
+    filter.filterContainer.compareDocumentPosition(table) &
+      window.Node.DOCUMENT_POSITION_FOLLOWING,
+  );
+  filter.destroy();
+});
+
+test("searching hides the rows that do not match", () => {
+  const { table, filter } = createTable();
+  filter.setState({ search: "darwin" });
+  const visible = Array.from(table.tBodies[0].rows).filter(
+    (row) => row.style.display !== "none",
+  );
+  assert.strictEqual(visible.length, 2);
+  assert.strictEqual(filter.getState().search, "darwin");
+  filter.destroy();
+});
+
+test("destroy() restores the table and removes the markup", () => {
+  const { window, table, filter } = createTable();
+  const before = table.tBodies[0].innerHTML;
+  filter.setState({ search: "smith" });
+  filter.destroy();
+  assert.strictEqual(window.TableFilter.getInstance(table), null);
+  assert.strictEqual(table.previousElementSibling, null);
+  assert.strictEqual(table.tBodies[0].innerHTML, before);
+});
@@ -0,0 +1,98 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { createPage, tableMarkup, nextFrame } = require("./dom.js");
+
+// jsdom has no layout, so rows report the height in their data-height and the
+// table body sits 100px down the page
+function fakeLayout(window) {
+  Object.defineProperty(window.HTMLElement.prototype, "offsetHeight", {
+    configurable: true,
+    get() {
+      return Number(this.getAttribute("data-height")) || 0;
+    },
+  });
+  const getRect = window.Element.prototype.getBoundingClientRect;
+  window.Element.prototype.getBoundingClientRect = function () {
+    if (this.tagName !== "TBODY") return getRect.call(this);
+    const top = 100 - window.scrollY;
+    return { top, bottom: top, left: 0, right: 0, width: 0, height: 0 };
+  };
+}
+
+function scrollTo(window, y) {
+  window.scrollY = y;
+  window.dispatchEvent(new window.Event("scroll"));
+  return nextFrame(window);
+}
+
+test("scrolling a virtual table with varying row heights", async () => {
+  const records = Array.from({ length: 500 }, (_, index) => [
+    `Finding ${index}`,
+    String(2000 + (index % 20)),
+  ]);
+  const window = createPage(
+    tableMarkup("findings", ["Title", "Year"], records),
+  );
+  fakeLayout(window);
+
+  // Short and wrapped rows alternate, so no single row gives the real height
+  const table = window.document.getElementById("findings");
+  table.querySelectorAll("tbody tr").forEach((row, index) => {
+    row.setAttribute("data-height", index % 3 === 0 ? "120" : "30");
+  });
+
+  const filter = new window.TableFilter(table, { virtualRows: true });
+  await nextFrame(window);
+
+  const attachedRows = () =>
+    Array.from(table.tBodies[0].rows).filter(
+      (row) => !row.classList.contains("table-filter-spacer"),
+    );
+
+  for (const y of [0, 1000, 1500, 1850, 2200, 4321, 9000, 15000, 2500, 0]) {
+    await scrollTo(window, y);
+    const rows = attachedRows();
+    assert.ok(rows.length > 0, `rows attached at ${y}px`);
+    assert.ok(rows.length < records.length, `rows windowed at ${y}px`);
+
+    // The first attached row is the one the row height puts at the top
+    const { start, rowHeight } = filter.virtual;
+    assert.strictEqual(
+      rows[0].getAttribute("aria-rowindex"),
+      String(start + 2),
+    );
+    assert.ok(
+      start * rowHeight <= Math.max(y - 100, 0),
+      `window covers ${y}px`,
+    );
+  }
+
+  // The estimate is replaced by the average of the first rows laid out
+  assert.ok(filter.virtual.measured);
+  assert.ok(filter.virtual.rowHeight > 30 && filter.virtual.rowHeight < 120);
+  filter.destroy();
+});
+
+test("reloading a virtual table replaces its rows", async () => {
+  const records = Array.from({ length: 50 }, (_, index) => ({
+    Title: `Finding ${index}`,
+    Year: String(2000 + (index % 20)),
+  }));
+  const window = createPage(tableMarkup("findings", ["Title", "Year"], []));
+  const table = window.document.getElementById("findings");
+  const filter = new window.TableFilter(table, {
+    virtualRows: true,
+    dataSource: { records },
+  });
+
+  await filter.reload();
+  await filter.reload();
+  await filter.reload();
+  assert.strictEqual(filter.getRows().length, records.length);
+  assert.strictEqual(filter.getMatchingRows().length, records.length);
+  assert.strictEqual(
+    table.getAttribute("aria-rowcount"),
+    String(records.length + 1),
+  );
+  filter.destroy();
+});